@@ -96,7 +96,7 @@ export class AuthService {
     client.authenticated = true;
     client.playerId = playerId;
 
-    return { playerId, name: normalizedUsername };
+    return { playerId, name: normalizedUsername, account };
   }
 
   /**
@@ -172,6 +172,18 @@ export class AuthService {
     return accountData.username;
   }
 
+  /**
+   * Returns whether an account with exactly that username was updated.
+   */
+  async updateAccount(username, updates) {
+    if (this.gameServer.mongo.db) {
+      return this.gameServer.mongo.updateAccount(username, updates);
+    }
+    const account = this.localAccounts.get(username);
+    if (account) Object.assign(account, updates);
+    return Boolean(account);
+  }
+
   sendAuthMessage(client, isRegistration, text) {
     this.gameServer.network.sendTo(client.sessionId, {
       type: isRegistration ? 'crtmsg' : 'logmsg',
@@ -30,6 +30,29 @@ const config = {
     viewHeight: 13,           // client view_height
     directions: { UP: 0, RIGHT: 1, DOWN: 2, LEFT: 3 },
     maxDirection: 3,
+    respawnDelay: 5000,       // ms a dead player must wait before respawning
+    deathExpLoss: 0.05,       // fraction of current exp lost on death
+    deathDropsItems: false,   // drop the inventory on the ground on death
+    groundItemDespawn: 120000, // ms before a dropped item disappears
+    lootProtection: 10000,    // ms kill loot is reserved for the killer
+    guestsCanBuild: false,    // guest accounts may place structures
+    lootSeed: process.env.LOOT_SEED ? parseInt(process.env.LOOT_SEED, 10) : null, // fixed loot RNG seed
+    hungerDrainPerMinute: 1,  // hunger points lost per minute (100 = full)
+    thirstEnabled: false,     // thirst meter (no client bar, server-side only)
+    thirstDrainPerMinute: 1.5,
+    starvationDamage: 5,      // HP lost per starvationInterval at 0 hunger
+    starvationInterval: 5000, // ms
+    dehydrationSlowdown: 250, // ms added to curSpeed at 0 thirst
+  },
+  chat: {
+    rateLimit: 5,             // messages (and commands) per rateWindow
+    rateWindow: 5000,         // ms
+    maxRepeats: 2,            // identical messages in a row allowed within repeatWindow
+    repeatWindow: 30000,      // ms
+    filterMode: process.env.CHAT_FILTER_MODE || 'mask', // 'mask' (***) or 'block'
+    filterWords: (process.env.CHAT_FILTER_WORDS || '')
+      .split(',').map(word => word.trim()).filter(Boolean),
+    maxMuteMinutes: 10080,    // longest mute a moderator can give (one week)
   },
   security: {
     maxInputBuffer: parseInt(process.env.MAX_INPUT_BUFFER, 10) || 32,
@@ -3,9 +3,39 @@ import { TickLoop } from './tickLoop.js';
 import { NetworkServer } from '../network/wsServer.js';
 import { InputQueue } from '../network/inputQueue.js';
 import { MapLoader } from '../game/world/mapLoader.js';
+import { Pathfinder } from '../game/world/pathfinder.js';
 import { MovementSystem } from '../game/systems/movementSystem.js';
 import { CombatSystem } from '../game/systems/combatSystem.js';
 import { InventorySystem } from '../game/systems/inventorySystem.js';
+import { GroundItemSystem } from '../game/systems/groundItemSystem.js';
+import { EquipmentSystem } from '../game/systems/equipmentSystem.js';
+import { ItemEffectSystem } from '../game/systems/itemEffectSystem.js';
+import { CraftingSystem } from '../game/systems/craftingSystem.js';
+import { BuildingSystem } from '../game/systems/buildingSystem.js';
+import { HarvestSystem } from '../game/systems/harvestSystem.js';
+import { InteractionSystem } from '../game/systems/interactionSystem.js';
+import { ContainerSystem } from '../game/systems/containerSystem.js';
+import { DialogueSystem } from '../game/systems/dialogueSystem.js';
+import { ShopSystem } from '../game/systems/shopSystem.js';
+import { TradeSystem } from '../game/systems/tradeSystem.js';
+import { QuestSystem } from '../game/systems/questSystem.js';
+import { ChatSystem } from '../game/systems/chatSystem.js';
+import { ModerationSystem } from '../game/systems/moderationSystem.js';
+import { TribeSystem } from '../game/systems/tribeSystem.js';
+import { MobAISystem } from '../game/systems/mobAISystem.js';
+import { SpawnSystem } from '../game/systems/spawnSystem.js';
+import { DeathSystem } from '../game/systems/deathSystem.js';
+import { ProgressionSystem } from '../game/systems/progressionSystem.js';
+import { SurvivalSystem } from '../game/systems/survivalSystem.js';
+import { MobRegistry } from '../game/data/mobRegistry.js';
+import { EffectRegistry } from '../game/data/effectRegistry.js';
+import { ItemRegistry } from '../game/data/itemRegistry.js';
+import { LootRegistry } from '../game/data/lootRegistry.js';
+import { RecipeRegistry } from '../game/data/recipeRegistry.js';
+import { ObjectRegistry } from '../game/data/objectRegistry.js';
+import { NpcRegistry } from '../game/data/npcRegistry.js';
+import { ShopRegistry } from '../game/data/shopRegistry.js';
+import { QuestRegistry } from '../game/data/questRegistry.js';
 import { StateSnapshot } from '../game/sync/stateSnapshot.js';
 import { DeltaCompression } from '../game/sync/deltaCompression.js';
 import { AntiCheat } from '../security/antiCheat.js';
@@ -33,11 +63,43 @@ export class GameServer {
     this.tickLoop = new TickLoop((dt, tick) => this.update(dt, tick));
     this.inputQueue = new InputQueue();
 
-    // Game systems
-    this.mapLoader = new MapLoader();
+    // Game data
+    this.mobRegistry = new MobRegistry();
+    this.effectRegistry = new EffectRegistry();
+    this.itemRegistry = new ItemRegistry();
+    this.lootRegistry = new LootRegistry(config.game.lootSeed);
+    this.recipeRegistry = new RecipeRegistry();
+    this.objectRegistry = new ObjectRegistry(this.itemRegistry);
+    this.npcRegistry = new NpcRegistry();
+    this.shopRegistry = new ShopRegistry(this.itemRegistry);
+    this.questRegistry = new QuestRegistry();
+
+    // Game systems (chat first, so the others can register commands)
+    this.chatSystem = new ChatSystem(this);
+    this.moderationSystem = new ModerationSystem(this);
+    this.mapLoader = new MapLoader(this.objectRegistry);
+    this.pathfinder = new Pathfinder();
     this.movementSystem = new MovementSystem(this);
     this.combatSystem = new CombatSystem(this);
     this.inventorySystem = new InventorySystem(this);
+    this.groundItemSystem = new GroundItemSystem(this);
+    this.equipmentSystem = new EquipmentSystem(this);
+    this.itemEffectSystem = new ItemEffectSystem(this);
+    this.craftingSystem = new CraftingSystem(this);
+    this.buildingSystem = new BuildingSystem(this);
+    this.harvestSystem = new HarvestSystem(this);
+    this.interactionSystem = new InteractionSystem(this);
+    this.containerSystem = new ContainerSystem(this);
+    this.dialogueSystem = new DialogueSystem(this);
+    this.shopSystem = new ShopSystem(this);
+    this.tradeSystem = new TradeSystem(this);
+    this.questSystem = new QuestSystem(this);
+    this.tribeSystem = new TribeSystem(this);
+    this.mobAISystem = new MobAISystem(this);
+    this.spawnSystem = new SpawnSystem(this);
+    this.deathSystem = new DeathSystem(this);
+    this.progressionSystem = new ProgressionSystem(this);
+    this.survivalSystem = new SurvivalSystem(this);
     this.stateSnapshot = new StateSnapshot(this);
     this.deltaCompression = new DeltaCompression();
 
@@ -69,8 +131,12 @@ export class GameServer {
     await this.mongo.connect();
     await this.redis.connect();
 
-    // Load initial maps
+    // Tribes are kept in memory and written through
+    await this.tribeSystem.load();
+
+    // Load initial maps, then restore player-built objects
     this.mapLoader.getMap('overworld');
+    await this.mapLoader.restoreWorldObjects(this.mongo, 'overworld');
 
     // Start network
     this.network.start(config.server.port);
@@ -91,9 +157,45 @@ export class GameServer {
     // Process pending movement completions
     this.movementSystem.update(deltaTime, tickCount);
 
+    // Fill spawn regions and respawn dead mobs
+    this.spawnSystem.update(deltaTime, tickCount);
+
+    // Respawn dead players who asked to come back
+    this.deathSystem.update(deltaTime, tickCount);
+
+    // Run mob AI (movement and attacks)
+    this.mobAISystem.update(deltaTime, tickCount);
+
     // Process combat
     this.combatSystem.update(deltaTime, tickCount);
 
+    // Drain hunger/thirst and apply survival penalties
+    this.survivalSystem.update(deltaTime, tickCount);
+
+    // Expire timed buffs
+    this.itemEffectSystem.update(deltaTime, tickCount);
+
+    // Finish timed crafts
+    this.craftingSystem.update(deltaTime, tickCount);
+
+    // Regrow depleted resource nodes
+    this.harvestSystem.update(deltaTime, tickCount);
+
+    // Close containers players walked away from
+    this.containerSystem.update(deltaTime, tickCount);
+
+    // Restock shops, close shops players walked away from
+    this.shopSystem.update(deltaTime, tickCount);
+
+    // Cancel trades between players who walked apart
+    this.tradeSystem.update(deltaTime, tickCount);
+
+    // Check quest reach objectives
+    this.questSystem.update(deltaTime, tickCount);
+
+    // Despawn expired ground items
+    this.groundItemSystem.update(deltaTime, tickCount);
+
     // Send state snapshots
     this.stateSnapshot.update(deltaTime, tickCount);
   }
@@ -112,12 +214,35 @@ export class GameServer {
   }
 
   async handleLogin(client, packet) {
+    // The death dialog's respawn button re-sends {type:"login", data:"/me"}
+    const deadPlayer = this.getPlayer(client.playerId);
+    if (deadPlayer && deadPlayer.isDead) {
+      this.deathSystem.requestRespawn(deadPlayer);
+      return;
+    }
+
     const result = await this.authService.handleLogin(client, packet);
     if (result && result.created) {
       return;
     }
     if (result) {
-      this.spawnPlayer(client, result.playerId, result.name, false);
+      const character = await this.loadCharacter(result.name, result.account?._id ?? null);
+
+      // One session per character: a second one would play on a stale
+      // copy of it (gold, items) and write that back. A player left in the
+      // world by a combat-flagged disconnect is handed to the new session.
+      const existing = this.findPlayerByName(result.name);
+      if (existing && existing.pendingLogout) {
+        this.resumePlayer(client, existing);
+        return;
+      }
+      if (existing) {
+        client.authenticated = false;
+        client.playerId = null;
+        this.authService.sendAuthMessage(client, false, 'This character is already logged in.');
+        return;
+      }
+      this.spawnPlayer(client, result.playerId, result.name, false, null, character, result.account);
     }
   }
 
@@ -128,13 +253,71 @@ export class GameServer {
     }
   }
 
+  /**
+   * Find a character document by name, creating it on first login, with
+   * its saved inventory slots as character.inventory.
+   * Returns null without a database (the player is then not saved).
+   */
+  async loadCharacter(name, accountId) {
+    try {
+      const character = await this.mongo.findCharacter(name);
+      if (character) {
+        character.inventory = await this.mongo.getInventory(character._id);
+        return character;
+      }
+
+      const fields = { level: 1, exp: 0, gold: 0, hunger: 100, quests: {} };
+      const characterId = await this.mongo.createCharacter({ accountId, name, ...fields });
+      return characterId ? { _id: characterId, name, ...fields } : null;
+    } catch (err) {
+      logger.error(`Failed to load character ${name}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save fields of a player's character document in the background.
+   */
+  saveCharacter(player, updates) {
+    if (!player.characterId) return;
+    this.mongo.saveCharacter(player.characterId, updates).catch(err => {
+      logger.error(`Failed to save character ${player.name}: ${err.message}`);
+    });
+  }
+
+  /**
+   * Add to numeric fields of a player's character document in the background.
+   */
+  incrementCharacter(player, increments) {
+    if (!player.characterId) return;
+    this.mongo.incrementCharacter(player.characterId, increments).catch(err => {
+      logger.error(`Failed to save character ${player.name}: ${err.message}`);
+    });
+  }
+
   /**
    * Spawn a player into the game world.
+   * A loaded character document restores persisted fields (level, exp,
+   * gold, hunger, quests, ignore list, inventory); the account carries moderation state. Tribe membership
+   * is looked up by name.
    */
-  spawnPlayer(client, playerId, name, isGuest, guestPass = null) {
+  spawnPlayer(client, playerId, name, isGuest, guestPass = null, character = null, account = null) {
     const player = new Player(playerId, name);
     player.sessionId = client.sessionId;
     player.isGuest = isGuest;
+    if (character) {
+      player.characterId = character._id;
+      player.gold = character.gold ?? 0;
+      player.hunger = character.hunger ?? 100;
+      player.quests = character.quests ?? {};
+      player.ignored = new Set(character.ignored ?? []);
+      this.progressionSystem.restore(player, character.level ?? 1, character.exp ?? 0);
+    }
+    if (account) {
+      player.isModerator = Boolean(account.isModerator);
+      player.mutedUntil = account.mutedUntil ? new Date(account.mutedUntil).getTime() : 0;
+    }
+    this.tribeSystem.initPlayer(player);
 
     // Find a valid spawn position
     const map = this.mapLoader.getMap(player.mapId);
@@ -144,9 +327,69 @@ export class GameServer {
     this.antiCheat.initPlayer(playerId);
     this.deltaCompression.initPlayer(playerId);
     this.inventorySystem.initPlayer(playerId);
+    if (character) this.inventorySystem.loadItems(player, character.inventory ?? []);
 
     logger.info(`Player spawned: ${name} (${playerId}) at (${player.x}, ${player.y})`);
 
+    const acceptedExtras = {};
+    if (isGuest) {
+      acceptedExtras.guest = true;
+      acceptedExtras.pass = guestPass;
+    }
+    this.sendSpawnSequence(player, acceptedExtras);
+    this.network.sendToPlayer(playerId, player.toStatusPacket());
+    this.inventorySystem.sendInventory(player);
+    this.craftingSystem.sendRecipes(player);
+
+    // Broadcast new player template and update to nearby players
+    this.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      player.toTemplatePacket(),
+      player.id
+    );
+    this.broadcastPlayerUpdate(player);
+
+    // Update Redis
+    if (this.redis.connected) {
+      this.redis.setSession(client.sessionId, { playerId, name });
+      this.redis.setPlayerPosition(playerId, player.x, player.y, player.mapId);
+    }
+  }
+
+  /**
+   * Give a player still in the world after a combat-flagged disconnect
+   * back to a new connection, fight and all.
+   */
+  resumePlayer(client, player) {
+    client.playerId = player.id;
+    player.sessionId = client.sessionId;
+    player.pendingLogout = false;
+
+    // The new client has seen nothing yet
+    this.stateSnapshot.removePlayer(player.id);
+    this.deltaCompression.initPlayer(player.id);
+
+    logger.info(`Player reconnected: ${player.name} (${player.id})`);
+
+    this.sendSpawnSequence(player);
+    this.network.sendToPlayer(player.id, player.toStatusPacket());
+    this.inventorySystem.sendInventory(player);
+    this.craftingSystem.sendRecipes(player);
+
+    if (this.redis.connected) {
+      this.redis.setSession(client.sessionId, { playerId: player.id, name: player.name });
+    }
+  }
+
+  /**
+   * Send everything the client needs to (re)enter the world:
+   * map transition, templates, spawn, map data, position, game state
+   * and finally 'accepted', which makes the client take control.
+   */
+  sendSpawnSequence(player, acceptedExtras = {}) {
+    const playerId = player.id;
+    const map = this.mapLoader.getMap(player.mapId);
+
     // Send map transition
     this.network.sendToPlayer(playerId, map.toTransitionPacket());
 
@@ -178,42 +421,24 @@ export class GameServer {
     });
 
     // Send accepted with map info
-    const acceptedPacket = {
+    this.network.sendToPlayer(playerId, {
       type: 'accepted',
       id: playerId,
       mw: map.width,
       mh: map.height,
       tile: map.tileSpeed,
-      name: name,
-    };
-    if (isGuest) {
-      acceptedPacket.guest = true;
-      acceptedPacket.pass = guestPass;
-    }
-    this.network.sendToPlayer(playerId, acceptedPacket);
-
-    // Broadcast new player template and update to nearby players
-    this.network.broadcastToNearby(
-      player.x, player.y, player.mapId,
-      player.toTemplatePacket(),
-      player.id
-    );
-    this.broadcastPlayerUpdate(player);
-
-    // Update Redis
-    if (this.redis.connected) {
-      this.redis.setSession(client.sessionId, { playerId, name });
-      this.redis.setPlayerPosition(playerId, player.x, player.y, player.mapId);
-    }
+      name: player.name,
+      ...acceptedExtras,
+    });
   }
 
   /**
    * Find a valid spawn position on the map.
+   * Searches outward from the map's respawn point, or its center.
    */
   findSpawnPosition(player, map) {
-    // Try center first, then search outward
-    const centerX = Math.floor(map.width / 2);
-    const centerY = Math.floor(map.height / 2);
+    const centerX = map.respawnPoint ? map.respawnPoint.x : Math.floor(map.width / 2);
+    const centerY = map.respawnPoint ? map.respawnPoint.y : Math.floor(map.height / 2);
 
     for (let radius = 0; radius < 20; radius++) {
       for (let dx = -radius; dx <= radius; dx++) {
@@ -250,6 +475,9 @@ export class GameServer {
         const key = getKey(x, y);
         const objects = map.objects.get(key);
         if (objects && objects.length) {
+          for (const templateId of objects) {
+            this.stateSnapshot.sendObjectTemplate(player, templateId);
+          }
           tiles.push([tileId ?? 0, ...objects].join('_'));
         } else {
           tiles.push(String(tileId ?? 0));
@@ -271,13 +499,13 @@ export class GameServer {
 
   handleMoveStart(client, packet) {
     const player = this.getPlayer(client.playerId);
-    if (!player) return;
+    if (!player || player.isDead) return;
     this.movementSystem.handleMoveStart(player, packet);
   }
 
   handleDirectionChange(client, packet) {
     const player = this.getPlayer(client.playerId);
-    if (!player) return;
+    if (!player || player.isDead) return;
     this.movementSystem.handleDirectionChange(player, packet);
   }
 
@@ -287,7 +515,7 @@ export class GameServer {
 
   handleAction(client, packet) {
     const player = this.getPlayer(client.playerId);
-    if (!player) return;
+    if (!player || player.isDead) return;
     this.combatSystem.handleAction(player);
   }
 
@@ -298,25 +526,25 @@ export class GameServer {
 
   handlePickup(client, packet) {
     const player = this.getPlayer(client.playerId);
-    if (!player) return;
-    this.inventorySystem.handlePickup(player);
+    if (!player || player.isDead) return;
+    this.groundItemSystem.handlePickup(player);
   }
 
   handleUseItem(client, packet) {
     const player = this.getPlayer(client.playerId);
-    if (!player) return;
+    if (!player || player.isDead) return;
     this.inventorySystem.handleUseItem(player, packet);
   }
 
   handleDropItem(client, packet) {
     const player = this.getPlayer(client.playerId);
-    if (!player) return;
+    if (!player || player.isDead) return;
     this.inventorySystem.handleDropItem(player, packet);
   }
 
   handleSwapItems(client, packet) {
     const player = this.getPlayer(client.playerId);
-    if (!player) return;
+    if (!player || player.isDead) return;
     this.inventorySystem.handleSwapItems(player, packet);
   }
 
@@ -327,16 +555,7 @@ export class GameServer {
     const message = packet.data;
     if (!message || typeof message !== 'string') return;
 
-    // Broadcast chat to nearby players
-    this.network.broadcastToNearby(
-      player.x, player.y, player.mapId,
-      {
-        type: 'message',
-        id: player.id,
-        text: player.name + ': ' + message.substring(0, 200),
-      },
-      null
-    );
+    this.chatSystem.handleChat(player, message);
   }
 
   handleCharacterOp(client, packet) {
@@ -344,14 +563,69 @@ export class GameServer {
     if (!player) return;
 
     // Character sub-operations (appearance, skills, etc.)
-    logger.debug(`Character operation: ${packet.r} from ${player.name}`);
+    switch (packet.r) {
+      case 'pv':
+        this.combatSystem.togglePvp(player);
+        break;
+      case 'st':
+        this.progressionSystem.sendStats(player);
+        break;
+      case 'dl':
+        if (Number.isInteger(packet.n)) this.dialogueSystem.handleChoice(player, packet.n);
+        break;
+      case 'tr':
+        this.tradeSystem.handleRequest(player, packet);
+        break;
+      case 'qs':
+        this.questSystem.sendQuests(player);
+        break;
+      default:
+        logger.debug(`Character operation: ${packet.r} from ${player.name}`);
+        break;
+    }
   }
 
   handleBuild(client, packet) {
+    const player = this.getPlayer(client.playerId);
+    if (!player || player.isDead) return;
+
+    // The build dialog lists both item crafts and placeable structures
+    const recipe = this.recipeRegistry.get(packet.tpl);
+    if (recipe && recipe.place) {
+      this.buildingSystem.handleBuild(player, recipe);
+    } else {
+      this.craftingSystem.handleCraft(player, packet.tpl);
+    }
+  }
+
+  /**
+   * Answer the build dialog's Info button.
+   * Client sends: {type:"nfo", tpl}
+   *
+   * Re-sends the template packet (so the client has current data) and
+   * prints the description in chat.
+   */
+  handleInfo(client, packet) {
     const player = this.getPlayer(client.playerId);
     if (!player) return;
 
-    logger.debug(`Build request: ${packet.tpl} from ${player.name}`);
+    // Build dialog entries are recipe IDs; structures name an object template
+    const recipe = this.recipeRegistry.get(packet.tpl);
+    const templateId = recipe && recipe.place ? recipe.object : packet.tpl;
+
+    const template = this.objectRegistry.get(templateId) || this.itemRegistry.get(templateId);
+    if (template) {
+      this.network.sendToPlayer(player.id, this.objectRegistry.toTemplatePacket(templateId));
+      this.sendMessage(player, template.desc ? `${template.name}: ${template.desc}` : template.name);
+      return;
+    }
+
+    if (this.effectRegistry.get(templateId)) {
+      this.network.sendToPlayer(player.id, this.effectRegistry.toTemplatePacket(templateId));
+      return;
+    }
+
+    logger.debug(`Info request for unknown template ${packet.tpl} from ${player.name}`);
   }
 
   handlePong(client, packet) {
@@ -366,6 +640,17 @@ export class GameServer {
     return this.players.get(playerId) || null;
   }
 
+  /**
+   * Find an online player by name, ignoring case.
+   */
+  findPlayerByName(name) {
+    const key = name.toLowerCase();
+    for (const player of this.players.values()) {
+      if (player.name.toLowerCase() === key) return player;
+    }
+    return null;
+  }
+
   broadcastPlayerUpdate(player) {
     this.network.broadcastToNearby(
       player.x, player.y, player.mapId,
@@ -374,6 +659,97 @@ export class GameServer {
     );
   }
 
+  /**
+   * Send a tile's current objects to everyone who can see it.
+   * Matches client: {type:"o", x, y, d:"tpl1|tpl2"}
+   */
+  broadcastTileObjects(mapId, x, y) {
+    const map = this.mapLoader.getMap(mapId);
+    if (!map) return;
+
+    const objects = map.getObjects(x, y);
+    const viewers = this.stateSnapshot.getPlayersInView(x, y, mapId);
+    for (const player of viewers) {
+      for (const templateId of objects) {
+        this.stateSnapshot.sendObjectTemplate(player, templateId);
+      }
+      this.network.sendToPlayer(player.id, {
+        type: 'o',
+        x,
+        y,
+        d: objects.join('|'),
+      });
+    }
+  }
+
+  /**
+   * Move a player to a tile, possibly on another map.
+   * Same-map moves send a fading pos correction plus fresh map data;
+   * map changes replay the full spawn sequence.
+   */
+  teleportPlayer(player, mapId, x, y) {
+    const oldMapId = player.mapId;
+    this.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      { type: 'remove', id: player.id },
+      player.id
+    );
+
+    player.mapId = mapId;
+    player.x = x;
+    player.y = y;
+    player.fromX = x;
+    player.fromY = y;
+    player.isMoving = false;
+    this.movementSystem.removePlayer(player.id);
+
+    if (mapId !== oldMapId) {
+      this.sendSpawnSequence(player);
+    } else {
+      this.network.sendToPlayer(player.id, player.toPositionPacket(true));
+      this.sendMapData(player);
+    }
+
+    this.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      player.toTemplatePacket(),
+      player.id
+    );
+    this.broadcastPlayerUpdate(player);
+    logger.debug(`Player ${player.name} teleported to ${mapId} (${x}, ${y})`);
+  }
+
+  /**
+   * Send a system chat line to a single player.
+   */
+  sendMessage(player, text) {
+    this.network.sendToPlayer(player.id, { type: 'message', text });
+  }
+
+  /**
+   * Play a visual effect at a tile for everyone who can see it.
+   * Sends the fx_tpl first to players who have not received it yet.
+   */
+  playEffect(templateId, x, y, mapId, dir = 0) {
+    if (!this.effectRegistry.get(templateId)) return;
+
+    const viewers = this.stateSnapshot.getPlayersInView(x, y, mapId);
+    for (const player of viewers) {
+      this.stateSnapshot.sendTemplateOnce(
+        player,
+        `fx:${templateId}`,
+        () => this.effectRegistry.toTemplatePacket(templateId)
+      );
+      this.network.sendToPlayer(player.id, {
+        type: 'fx',
+        tpl: templateId,
+        x,
+        y,
+        d: dir,
+      });
+    }
+  }
+
   sendPings() {
     this.pingCount++;
     for (const player of this.players.values()) {
@@ -390,16 +766,42 @@ export class GameServer {
 
     logger.info(`Player disconnected: ${player.name} (${playerId})`);
 
+    // Combat-flagged players stay in the world until the flag runs out,
+    // so closing the tab is no escape from a fight; logging back in in the
+    // meantime resumes them (see handleLogin)
+    if (this.combatSystem.isCombatFlagged(player, Date.now())) {
+      player.pendingLogout = true;
+      logger.info(`Delaying logout of combat-flagged player ${player.name}`);
+      return;
+    }
+
+    this.removePlayer(playerId);
+  }
+
+  /**
+   * Remove a player from the world and all subsystems.
+   */
+  removePlayer(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+
     // Cleanup
     this.players.delete(playerId);
     this.movementSystem.removePlayer(playerId);
     this.antiCheat.removePlayer(playerId);
     this.deltaCompression.removePlayer(playerId);
+    this.tradeSystem.removePlayer(playerId);
+    this.moderationSystem.removePlayer(playerId);
     this.inventorySystem.removePlayer(playerId);
+    this.stateSnapshot.removePlayer(playerId);
     this.inputQueue.remove(playerId);
 
-    // Notify nearby players (entity removal via empty pl batch)
-    // In the full implementation, send cleanup packets
+    // Notify nearby players
+    this.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      { type: 'remove', id: playerId },
+      playerId
+    );
   }
 
   async stop() {
@@ -51,6 +51,12 @@ export class MongoRepository {
     return result.insertedId;
   }
 
+  async updateAccount(username, updates) {
+    if (!this.db) return false;
+    const result = await this.db.collection('accounts').updateOne({ username }, { $set: updates });
+    return result.matchedCount > 0;
+  }
+
   // Character operations
   async findCharacter(name) {
     if (!this.db) return null;
@@ -80,6 +86,14 @@ export class MongoRepository {
     );
   }
 
+  async incrementCharacter(characterId, increments) {
+    if (!this.db) return;
+    await this.db.collection('characters').updateOne(
+      { _id: characterId },
+      { $inc: increments, $set: { lastSaved: new Date() } }
+    );
+  }
+
   // Inventory operations
   async getInventory(characterId) {
     if (!this.db) return [];
@@ -98,6 +112,11 @@ export class MongoRepository {
     );
   }
 
+  async clearInventorySlot(characterId, slot) {
+    if (!this.db) return;
+    await this.db.collection('inventory').deleteOne({ characterId, slot });
+  }
+
   // World data operations
   async getWorldData(mapId) {
     if (!this.db) return [];
@@ -112,4 +131,40 @@ export class MongoRepository {
       { upsert: true }
     );
   }
+
+  async updateWorldObjects(mapId, x, y, objects) {
+    if (!this.db) return;
+    await this.db.collection('worldData').updateOne({ mapId, x, y }, { $set: { objects } });
+  }
+
+  // Tribe operations
+  async getTribes() {
+    if (!this.db) return [];
+    return this.db.collection('tribes').find({}).toArray();
+  }
+
+  async saveTribe({ name, members, createdAt }) {
+    if (!this.db) return;
+    await this.db.collection('tribes').updateOne(
+      { name },
+      { $set: { members, createdAt } },
+      { upsert: true }
+    );
+  }
+
+  async deleteTribe(name) {
+    if (!this.db) return;
+    await this.db.collection('tribes').deleteOne({ name });
+  }
+
+  // Audit log operations
+  async logTrade(trade) {
+    if (!this.db) return;
+    await this.db.collection('trades').insertOne({ ...trade, completedAt: new Date() });
+  }
+
+  async logModeration(entry) {
+    if (!this.db) return;
+    await this.db.collection('moderationLog').insertOne({ ...entry, at: new Date() });
+  }
 }
@@ -14,6 +14,9 @@ export const AccountSchema = {
   lastLogin: null,     // Date
   isBanned: false,     // boolean
   banReason: '',       // string
+  isModerator: false,  // boolean, may use /mute and /unmute
+  mutedUntil: null,    // Date, chat mute end
+  muteReason: '',      // string
   premium: 0,          // number, premium currency
 };
 
@@ -46,9 +49,12 @@ export const CharacterSchema = {
   eyeColor: 16777215,
 
   // Stats
-  tribe: '',           // string
+  tribe: '',           // string, unused (membership lives in 'tribes')
   exp: 0,              // number
   hunger: 100,         // number
+  gold: 0,             // number, gold balance
+  quests: {},          // questId -> { state, progress[] }
+  ignored: [],         // lowercase names ignored in chat
 
   createdAt: null,     // Date
   lastSaved: null,     // Date
@@ -77,6 +83,38 @@ export const WorldDataSchema = {
   placedAt: null,      // Date
 };
 
+/**
+ * Tribe schema - stored in 'tribes' collection.
+ */
+export const TribeSchema = {
+  name: '',            // string, unique, indexed
+  members: [],         // [{ name, rank }], rank: leader | officer | member
+  createdAt: null,     // Date
+};
+
+/**
+ * Trade log schema - one entry per completed trade, stored in 'trades'.
+ */
+export const TradeLogSchema = {
+  tradeId: '',         // string, session id
+  players: [],         // [name, name]
+  characterIds: [],    // [ObjectId|null, ObjectId|null]
+  offers: [],          // [{ items: [{ templateId, quantity }], gold }] per player
+  completedAt: null,   // Date
+};
+
+/**
+ * Moderation log schema - one entry per moderator action, stored in 'moderationLog'.
+ */
+export const ModerationLogSchema = {
+  action: '',          // string: mute | unmute
+  moderator: '',       // moderator name
+  target: '',          // target account name
+  until: null,         // Date, mute end (mute only)
+  reason: '',          // string
+  at: null,            // Date
+};
+
 /**
  * Create MongoDB indexes for optimal query performance.
  */
@@ -86,4 +124,8 @@ export async function createIndexes(db) {
   await db.collection('characters').createIndex({ accountId: 1 });
   await db.collection('inventory').createIndex({ characterId: 1, slot: 1 });
   await db.collection('worldData').createIndex({ mapId: 1, x: 1, y: 1 });
+  await db.collection('tribes').createIndex({ name: 1 }, { unique: true });
+  await db.collection('tribes').createIndex({ 'members.name': 1 });
+  await db.collection('trades').createIndex({ players: 1, completedAt: -1 });
+  await db.collection('moderationLog').createIndex({ target: 1, at: -1 });
 }
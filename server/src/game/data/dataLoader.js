@@ -0,0 +1,17 @@
+import fs from 'fs';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Load a JSON data file from the game/data directory.
+ * Returns the fallback value if the file is missing or malformed,
+ * so a bad data file never prevents the server from starting.
+ */
+export function loadDataFile(fileName, fallback = {}) {
+  const url = new URL(`./${fileName}`, import.meta.url);
+  try {
+    return JSON.parse(fs.readFileSync(url, 'utf8'));
+  } catch (err) {
+    logger.warn(`Failed to load data file ${fileName}: ${err.message}`);
+    return fallback;
+  }
+}
@@ -0,0 +1,43 @@
+import { loadDataFile } from './dataLoader.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Visual effect template registry.
+ * Templates are loaded from effects.json, keyed by template ID:
+ *
+ *   { "miss": { code: "{start:function(){...}, run:..., move:...}" } }
+ *
+ * From client analysis:
+ *   - {type:"fx_tpl", tpl, code} is eval'd into effect_dict[tpl]
+ *   - {type:"fx", tpl, x, y, d, s} plays a registered effect at a tile;
+ *     an fx for an unregistered tpl breaks the client, so the template
+ *     must always be sent first.
+ */
+export class EffectRegistry {
+  constructor() {
+    this.templates = new Map(); // templateId -> template
+    this.load();
+  }
+
+  load() {
+    const data = loadDataFile('effects.json');
+    for (const [templateId, template] of Object.entries(data)) {
+      this.templates.set(templateId, { id: templateId, ...template });
+    }
+    logger.info(`Loaded ${this.templates.size} effect templates`);
+  }
+
+  get(templateId) {
+    return this.templates.get(templateId) || null;
+  }
+
+  toTemplatePacket(templateId) {
+    const template = this.get(templateId);
+    if (!template) return null;
+    return {
+      type: 'fx_tpl',
+      tpl: templateId,
+      code: template.code,
+    };
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Experience curve.
+ * Player.exp is progress into the current level; reaching
+ * getExpToLevel(level) levels up and carries the remainder over.
+ */
+
+export const MAX_LEVEL = 100;
+
+// Exp needed for level 1 -> 2, and how steeply later levels grow.
+const BASE_EXP = 100;
+const EXP_EXPONENT = 1.5;
+
+/**
+ * Exp required to advance from `level` to `level + 1`.
+ * Returns Infinity at the level cap.
+ */
+export function getExpToLevel(level) {
+  if (level >= MAX_LEVEL) return Infinity;
+  return Math.floor(BASE_EXP * Math.pow(level, EXP_EXPONENT));
+}
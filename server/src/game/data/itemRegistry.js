@@ -0,0 +1,96 @@
+import { loadDataFile } from './dataLoader.js';
+import { logger } from '../../utils/logger.js';
+
+export const ITEM_TYPES = new Set(['consumable', 'equipment', 'material', 'placeable', 'currency']);
+
+/**
+ * Item template registry.
+ * Templates are loaded from items.json, keyed by template ID:
+ *
+ *   { "apple": { name, sprite, stack, type, use, cooldown, cooldownGroup,
+ *                value, durability, slot, stats, appearance, tool } }
+ *
+ *   stack      - max quantity per inventory slot (default 1)
+ *   type       - consumable | equipment | material | placeable | currency
+ *   use        - effects applied when the item is used (see ItemEffectSystem)
+ *   cooldown   - ms before the cooldown group can be used again
+ *   cooldownGroup - items sharing a cooldown (default: the template ID)
+ *   value      - base price in gold
+ *   durability - starting durability (omitted = -1, unbreakable)
+ *   slot       - equipment slot (weapon, armor, helmet, accessory)
+ *   stats      - stat bonuses while equipped, e.g. { attack: 3 }
+ *   appearance - plr_tpl overrides while equipped, e.g. { clothes: 2 }
+ *   tool       - harvesting tool type when equipped, e.g. "axe" (see HarvestSystem)
+ *
+ * Item instances in inventories follow InventoryItemSchema:
+ *   { templateId, quantity, durability }
+ */
+export class ItemRegistry {
+  constructor() {
+    this.templates = new Map(); // templateId -> template
+    this.load();
+  }
+
+  load() {
+    const data = loadDataFile('items.json');
+    for (const [templateId, template] of Object.entries(data)) {
+      if (!ITEM_TYPES.has(template.type)) {
+        logger.warn(`Item ${templateId} has unknown type '${template.type}'`);
+      }
+      this.templates.set(templateId, {
+        id: templateId,
+        stack: 1,
+        value: 0,
+        ...template,
+      });
+    }
+    logger.info(`Loaded ${this.templates.size} item templates`);
+  }
+
+  get(templateId) {
+    return this.templates.get(templateId) || null;
+  }
+
+  has(templateId) {
+    return this.templates.has(templateId);
+  }
+
+  getMaxStack(templateId) {
+    const template = this.get(templateId);
+    return template ? Math.max(1, template.stack) : 1;
+  }
+
+  /**
+   * Build the obj_tpl packet used to show this item lying on the ground.
+   */
+  toObjectTemplatePacket(templateId) {
+    const template = this.get(templateId);
+    if (!template) return null;
+    return {
+      type: 'obj_tpl',
+      tpl: templateId,
+      name: template.name,
+      desc: template.desc || '',
+      stack: template.stack > 1 ? 1 : 0,
+      pickup: 1,
+      block: 0,
+      spr: template.sprite,
+    };
+  }
+
+  /**
+   * Create a new item instance. Returns null for unknown templates.
+   */
+  createItem(templateId, quantity = 1) {
+    const template = this.get(templateId);
+    if (!template) {
+      logger.warn(`Unknown item template: ${templateId}`);
+      return null;
+    }
+    return {
+      templateId,
+      quantity,
+      durability: template.durability ?? -1,
+    };
+  }
+}
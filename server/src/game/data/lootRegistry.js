@@ -0,0 +1,91 @@
+import { loadDataFile } from './dataLoader.js';
+import { createSeededRandom, randomInt } from '../../utils/math.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Loot table registry.
+ * Tables are loaded from lootTables.json, keyed by table ID (by default
+ * the mob template ID; a mob template may name another with "loot"):
+ *
+ *   { "wolf": {
+ *       gold:       { min, max, chance? },
+ *       guaranteed: [{ item, min?, max? }],            always dropped
+ *       chance:     [{ item, chance, min?, max? }],    each rolled on its own
+ *       rolls:      2,                                 weighted picks from entries
+ *       entries:    [{ item?, weight, min?, max? }]    no item = nothing
+ *   } }
+ *
+ * Quantities default to 1. Every roll draws from one random generator,
+ * seeded from config.game.lootSeed when set, so a fixed seed gives
+ * reproducible drops (pass a generator to roll() in tests).
+ */
+export class LootRegistry {
+  constructor(seed = null) {
+    this.tables = new Map(); // tableId -> table
+    this.random = seed === null ? Math.random : createSeededRandom(seed);
+    this.load();
+  }
+
+  load() {
+    const data = loadDataFile('lootTables.json');
+    for (const [tableId, table] of Object.entries(data)) {
+      this.tables.set(tableId, { id: tableId, ...table });
+    }
+    logger.info(`Loaded ${this.tables.size} loot tables`);
+  }
+
+  get(tableId) {
+    return this.tables.get(tableId) || null;
+  }
+
+  /**
+   * Roll a loot table.
+   * Returns a list of { templateId, quantity } drops (stacks of the same
+   * item merged), empty if the table does not exist.
+   */
+  roll(tableId, random = this.random) {
+    const table = this.get(tableId);
+    if (!table) return [];
+    return this.rollTable(table, random);
+  }
+
+  /**
+   * Roll a table object in lootTables.json format, e.g. one defined inline
+   * in objects.json.
+   */
+  rollTable(table, random = this.random) {
+    const drops = new Map(); // templateId -> quantity
+    const add = (entry) => {
+      if (!entry.item) return;
+      const quantity = randomInt(entry.min ?? 1, entry.max ?? entry.min ?? 1, random);
+      if (quantity > 0) drops.set(entry.item, (drops.get(entry.item) || 0) + quantity);
+    };
+
+    if (table.gold && random() < (table.gold.chance ?? 1)) {
+      add({ item: 'gold', min: table.gold.min, max: table.gold.max });
+    }
+
+    for (const entry of table.guaranteed || []) {
+      add(entry);
+    }
+
+    for (const entry of table.chance || []) {
+      if (random() < entry.chance) add(entry);
+    }
+
+    const entries = table.entries || [];
+    const totalWeight = entries.reduce((sum, entry) => sum + (entry.weight || 0), 0);
+    for (let i = 0; i < (table.rolls || 0) && totalWeight > 0; i++) {
+      let pick = random() * totalWeight;
+      for (const entry of entries) {
+        pick -= entry.weight || 0;
+        if (pick < 0) {
+          add(entry);
+          break;
+        }
+      }
+    }
+
+    return [...drops].map(([templateId, quantity]) => ({ templateId, quantity }));
+  }
+}
@@ -0,0 +1,74 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Mob } from '../entities/mob.js';
+import { loadDataFile } from './dataLoader.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Mob template registry.
+ * Templates are loaded from mobs.json, keyed by template ID:
+ *
+ *   { "wolf": { name, sprite, level, exp, hp, attack, defense, speed,
+ *               aggressive, aggroRange, leashRange, wanderRadius,
+ *               attackSpeed, accuracy, evasion, critChance, critMultiplier,
+ *               damageType, resistances: { [damageType]: fraction },
+ *               respawnTime, loot } }
+ *
+ * loot names a table in lootTables.json (default: the template ID).
+ *
+ * Every field except name is optional and falls back to the Mob defaults.
+ */
+export class MobRegistry {
+  constructor() {
+    this.templates = new Map(); // templateId -> template
+    this.load();
+  }
+
+  load() {
+    const data = loadDataFile('mobs.json');
+    for (const [templateId, template] of Object.entries(data)) {
+      this.templates.set(templateId, { id: templateId, ...template });
+    }
+    logger.info(`Loaded ${this.templates.size} mob templates`);
+  }
+
+  get(templateId) {
+    return this.templates.get(templateId) || null;
+  }
+
+  /**
+   * Create a new Mob instance from a template.
+   * Returns null if the template does not exist.
+   */
+  createMob(templateId) {
+    const template = this.get(templateId);
+    if (!template) {
+      logger.warn(`Unknown mob template: ${templateId}`);
+      return null;
+    }
+
+    const mob = new Mob(uuidv4(), templateId, template.name);
+    mob.sprite = template.sprite ?? mob.sprite;
+    mob.level = template.level ?? mob.level;
+    mob.expReward = template.exp ?? mob.level * 10;
+    mob.lootTable = template.loot ?? templateId;
+    mob.maxHp = template.hp ?? mob.maxHp;
+    mob.hp = mob.maxHp;
+    mob.attack = template.attack ?? mob.attack;
+    mob.defense = template.defense ?? mob.defense;
+    mob.speed = template.speed ?? mob.speed;
+    mob.curSpeed = mob.speed;
+    mob.isAggressive = template.aggressive ?? mob.isAggressive;
+    mob.aggroRange = template.aggroRange ?? mob.aggroRange;
+    mob.leashRange = template.leashRange ?? mob.leashRange;
+    mob.wanderRadius = template.wanderRadius ?? mob.wanderRadius;
+    mob.attackSpeed = template.attackSpeed ?? mob.attackSpeed;
+    mob.accuracy = template.accuracy ?? mob.accuracy;
+    mob.evasion = template.evasion ?? mob.evasion;
+    mob.critChance = template.critChance ?? mob.critChance;
+    mob.critMultiplier = template.critMultiplier ?? mob.critMultiplier;
+    mob.damageType = template.damageType ?? mob.damageType;
+    mob.resistances = { ...(template.resistances || {}) };
+    mob.respawnTime = template.respawnTime ?? mob.respawnTime;
+    return mob;
+  }
+}
@@ -0,0 +1,54 @@
+import { v4 as uuidv4 } from 'uuid';
+import { NPC } from '../entities/npc.js';
+import { loadDataFile } from './dataLoader.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * NPC template registry.
+ * Templates are loaded from npcs.json, keyed by template ID:
+ *
+ *   { "elder": { name, sprite, level, appearance, dialogue } }
+ *
+ *   appearance - paper doll look { body, hair, clothes, clothesColor,
+ *                hairColor, eyeColor }; omitted = plain sprite
+ *   dialogue   - dialogue nodes (see DialogueSystem)
+ *
+ * NPCs are placed by the "npcs" list of a map in maps.json.
+ */
+export class NpcRegistry {
+  constructor() {
+    this.templates = new Map(); // templateId -> template
+    this.load();
+  }
+
+  load() {
+    const data = loadDataFile('npcs.json');
+    for (const [templateId, template] of Object.entries(data)) {
+      this.templates.set(templateId, { id: templateId, dialogue: [], ...template });
+    }
+    logger.info(`Loaded ${this.templates.size} NPC templates`);
+  }
+
+  get(templateId) {
+    return this.templates.get(templateId) || null;
+  }
+
+  /**
+   * Create a new NPC instance from a template.
+   * Returns null if the template does not exist.
+   */
+  createNpc(templateId) {
+    const template = this.get(templateId);
+    if (!template) {
+      logger.warn(`Unknown NPC template: ${templateId}`);
+      return null;
+    }
+
+    const npc = new NPC(uuidv4(), templateId, template.name);
+    npc.sprite = template.sprite ?? npc.sprite;
+    npc.level = template.level ?? npc.level;
+    npc.appearance = template.appearance ?? npc.appearance;
+    npc.dialogue = template.dialogue;
+    return npc;
+  }
+}
@@ -0,0 +1,99 @@
+import { loadDataFile } from './dataLoader.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Map object template registry.
+ * Templates are loaded from objects.json, keyed by template ID:
+ *
+ *   { "wood_wall": { name, desc, sprite, block, interact, hp, drops, build,
+ *                    harvest, toggle, locked, container, text } }
+ *
+ *   sprite   - positive: items sheet, negative: tiles sheet
+ *   block    - blocks movement (feeds GameMap.blockingObjects)
+ *   interact - what using the object does: station, or door, chest,
+ *              sign and lever (see InteractionSystem)
+ *   hp       - hit points for destructible objects (omitted = indestructible)
+ *   drops    - loot table (lootTables.json format) rolled when destroyed
+ *   build    - client wall-joining pattern, passed through in obj_tpl
+ *   harvest  - resource node: hp, yields per tool type, depleted
+ *              variant and regrow time (see HarvestSystem)
+ *   toggle   - template swapped in when a door or lever is used
+ *   locked   - door only opens through a trigger
+ *   container - chest storage: { slots, shared } (see ContainerSystem)
+ *   text     - default sign text
+ *
+ * Items lying on the ground are map objects too, but their templates come
+ * from ItemRegistry; toTemplatePacket() resolves either kind.
+ *
+ * From client analysis:
+ *   - {type:"obj_tpl", tpl, name, desc, stack, pickup, block, spr, build}
+ *     fills object_dict[tpl]. "o"/"map" data naming a template missing
+ *     from object_dict crashes the client.
+ */
+export class ObjectRegistry {
+  constructor(itemRegistry) {
+    this.itemRegistry = itemRegistry;
+    this.templates = new Map(); // templateId -> template
+    this.load();
+  }
+
+  load() {
+    const data = loadDataFile('objects.json');
+    for (const [templateId, template] of Object.entries(data)) {
+      if (this.itemRegistry.has(templateId)) {
+        logger.warn(`Object template ${templateId} shadows an item template`);
+      }
+      this.templates.set(templateId, {
+        id: templateId,
+        block: false,
+        interact: null,
+        hp: 0,
+        drops: null,
+        harvest: null,
+        toggle: null,
+        ...template,
+      });
+    }
+    logger.info(`Loaded ${this.templates.size} object templates`);
+  }
+
+  get(templateId) {
+    return this.templates.get(templateId) || null;
+  }
+
+  has(templateId) {
+    return this.templates.has(templateId);
+  }
+
+  /**
+   * Whether an object blocks movement. Ground items never do.
+   */
+  isBlocking(templateId) {
+    const template = this.get(templateId);
+    return Boolean(template && template.block);
+  }
+
+  /**
+   * Build the obj_tpl packet for a map object or ground item.
+   * Returns null for unknown templates.
+   */
+  toTemplatePacket(templateId) {
+    const template = this.get(templateId);
+    if (!template) {
+      return this.itemRegistry.toObjectTemplatePacket(templateId);
+    }
+
+    const packet = {
+      type: 'obj_tpl',
+      tpl: templateId,
+      name: template.name,
+      desc: template.desc || '',
+      stack: 0,
+      pickup: 0,
+      block: template.block ? 1 : 0,
+      spr: template.sprite,
+    };
+    if (template.build) packet.build = template.build;
+    return packet;
+  }
+}
@@ -0,0 +1,47 @@
+import { loadDataFile } from './dataLoader.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Quest registry.
+ * Quests are loaded from quests.json, keyed by quest ID:
+ *
+ *   { "rat_trouble": { name, desc, requires, level, objectives, rewards } }
+ *
+ *   requires   - quest IDs that must be completed first
+ *   level      - minimum character level (default 1)
+ *   objectives - [{ type, count?, label? }], one of:
+ *                  kill    { mob }              kill count mobs of a template
+ *                  collect { item }             carry count items (taken on turn-in)
+ *                  talk    { npc }              talk to an NPC template
+ *                  reach   { x, y, mapId?, radius? }  walk to a tile
+ *                count defaults to 1, label to the mob/item/NPC name
+ *   rewards    - { exp, gold, items: [{ item, quantity }] }
+ *
+ * Quests are started and turned in by NPC dialogue ({ do: "quest" }).
+ */
+export class QuestRegistry {
+  constructor() {
+    this.quests = new Map(); // questId -> quest
+    this.load();
+  }
+
+  load() {
+    const data = loadDataFile('quests.json');
+    for (const [questId, quest] of Object.entries(data)) {
+      this.quests.set(questId, {
+        id: questId,
+        desc: '',
+        requires: [],
+        level: 1,
+        ...quest,
+        objectives: (quest.objectives || []).map(objective => ({ count: 1, ...objective })),
+        rewards: { exp: 0, gold: 0, items: [], ...quest.rewards },
+      });
+    }
+    logger.info(`Loaded ${this.quests.size} quests`);
+  }
+
+  get(questId) {
+    return this.quests.get(questId) || null;
+  }
+}
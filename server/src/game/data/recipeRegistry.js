@@ -0,0 +1,77 @@
+import { loadDataFile } from './dataLoader.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Crafting recipe registry.
+ * Recipes are loaded from recipes.json, keyed by the template ID the
+ * client sends in {type:"bld", tpl}:
+ *
+ *   { "cooked_meat": { inputs: { raw_meat: 1 }, output: { item, quantity },
+ *                      tool, station, skill: { id, level }, time, label } }
+ *
+ *   inputs  - items consumed (templateId -> quantity)
+ *   output  - item produced (default: one of the recipe ID)
+ *   tool    - item that must be in the inventory (not consumed)
+ *   station - map object that must be nearby (e.g. "fire")
+ *   skill   - minimum skill level (player.skills)
+ *   time    - craft duration in ms (default 0)
+ *   label   - build dialog button text instead of "Craft"
+ *   place   - build an object (objects.json) in front of the player
+ *             instead of crafting an item (see BuildingSystem)
+ *   object  - the object template placed (default: the recipe ID)
+ *
+ * From client analysis:
+ *   - {type:"bld", data} sets the build dialog list; data is a JSON string
+ *     of [{t, n, s, r:{tpl:qty}, p, c}] (t = template, n = name,
+ *     s = sprite, r = requirements, p = 1 for crafted items and 0 for
+ *     structures, c = label).
+ *   - The client greys out entries the inventory cannot pay for.
+ */
+export class RecipeRegistry {
+  constructor() {
+    this.recipes = new Map(); // recipeId -> recipe
+    this.load();
+  }
+
+  load() {
+    const data = loadDataFile('recipes.json');
+    for (const [recipeId, recipe] of Object.entries(data)) {
+      this.recipes.set(recipeId, {
+        id: recipeId,
+        inputs: {},
+        output: { item: recipeId, quantity: 1 },
+        object: recipeId,
+        time: 0,
+        ...recipe,
+      });
+    }
+    logger.info(`Loaded ${this.recipes.size} recipes`);
+  }
+
+  get(recipeId) {
+    return this.recipes.get(recipeId) || null;
+  }
+
+  /**
+   * Build the bld packet listing every recipe.
+   */
+  toBuildPacket(itemRegistry, objectRegistry) {
+    const data = [];
+    for (const recipe of this.recipes.values()) {
+      const output = recipe.place
+        ? objectRegistry.get(recipe.object)
+        : itemRegistry.get(recipe.output.item);
+      if (!output) continue;
+      const entry = {
+        t: recipe.id,
+        n: output.name,
+        s: output.sprite,
+        r: recipe.inputs,
+        p: recipe.place ? 0 : 1,
+      };
+      if (recipe.label) entry.c = recipe.label;
+      data.push(entry);
+    }
+    return { type: 'bld', data: JSON.stringify(data) };
+  }
+}
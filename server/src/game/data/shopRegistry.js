@@ -0,0 +1,46 @@
+import { loadDataFile } from './dataLoader.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Shop registry.
+ * Shops are loaded from shops.json, keyed by shop ID:
+ *
+ *   { "general_store": { name, restock: 300000,
+ *       stock: [{ item, price?, sell?, stock? }] } }
+ *
+ *   price   - gold a player pays for one (default: the item's value,
+ *             null = not for sale)
+ *   sell    - gold the shop pays for one (omitted = the shop does not buy it)
+ *   stock   - how many the shop holds (omitted = unlimited)
+ *   restock - ms between refills of limited stock (omitted = never)
+ *
+ * Shops are opened by NPC dialogue ({ do: "shop", id }).
+ */
+export class ShopRegistry {
+  constructor(itemRegistry) {
+    this.itemRegistry = itemRegistry;
+    this.shops = new Map(); // shopId -> shop
+    this.load();
+  }
+
+  load() {
+    const data = loadDataFile('shops.json');
+    for (const [shopId, shop] of Object.entries(data)) {
+      const stock = [];
+      for (const entry of shop.stock || []) {
+        const item = this.itemRegistry.get(entry.item);
+        if (!item) {
+          logger.warn(`Shop ${shopId} lists unknown item ${entry.item}`);
+          continue;
+        }
+        stock.push({ price: item.value, sell: null, stock: null, ...entry });
+      }
+      this.shops.set(shopId, { id: shopId, restock: 0, ...shop, stock });
+    }
+    logger.info(`Loaded ${this.shops.size} shops`);
+  }
+
+  get(shopId) {
+    return this.shops.get(shopId) || null;
+  }
+}
@@ -19,17 +19,67 @@ export class Mob {
     this.isMoving = false;
     this.moveStartTime = 0;
 
+    this.level = 1;
+    this.expReward = 10;         // exp granted to the killer
+    this.lootTable = null;       // loot table ID rolled on death
     this.hp = 10;
     this.maxHp = 10;
     this.attack = 1;
     this.defense = 0;
     this.sprite = 0;
 
+    // Combat stats
+    this.attackSpeed = 1500;     // ms between attacks
+    this.lastAttackTime = 0;
+    this.accuracy = 0;           // +1% hit chance per point
+    this.evasion = 0;            // -1% enemy hit chance per point
+    this.critChance = 0;
+    this.critMultiplier = 1.5;
+    this.damageType = 'physical';
+    this.resistances = {};       // damageType -> fraction of damage ignored
+
     this.aiState = 'idle';
     this.aggroTarget = null;
     this.aggroRange = 5;
+    this.isAggressive = true;    // attacks players on sight
+    this.leashRange = 10;        // max tiles from home before giving up a chase
+    this.wanderRadius = 4;       // max tiles from home while wandering
+    this.nextAiTime = 0;         // earliest time for the next idle decision
     this.respawnTime = 30000;
     this.isDead = false;
+    this.respawnAt = 0;          // when a dead mob comes back (0 = not scheduled)
+    this.spawnRegion = null;     // spawn region key this mob belongs to
+
+    // Home position (spawn point), used for wandering and leashing
+    this.homeX = 0;
+    this.homeY = 0;
+  }
+
+  /**
+   * Set position and make it the mob's home (leash anchor).
+   */
+  setHome(x, y) {
+    this.x = x;
+    this.y = y;
+    this.homeX = x;
+    this.homeY = y;
+  }
+
+  /**
+   * Serialize the mob template as a plr_tpl packet.
+   * The client only renders a {type:"p"} entity whose tpl is in player_dict,
+   * so mobs register their template ID there. body -1 = plain sprite, no doll.
+   */
+  toTemplatePacket() {
+    return {
+      type: 'plr_tpl',
+      id: this.templateId,
+      n: this.name,
+      t: '',
+      l: this.level,
+      s: this.sprite,
+      b: -1,
+    };
   }
 
   toSpawnPacket() {
@@ -46,6 +96,17 @@ export class Mob {
     };
   }
 
+  toUpdatePacket() {
+    return {
+      type: 'p',
+      id: this.id,
+      s: this.curSpeed,
+      d: this.dir,
+      x: this.x,
+      y: this.y,
+    };
+  }
+
   toMovePacket() {
     return {
       type: 'move',
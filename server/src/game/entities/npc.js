@@ -2,6 +2,8 @@ import config from '../../core/config.js';
 
 /**
  * Server-side NPC entity.
+ * NPCs stand where the map places them and talk through dialogue nodes
+ * (see DialogueSystem). They cannot be attacked.
  */
 export class NPC {
   constructor(id, templateId, name) {
@@ -18,8 +20,32 @@ export class NPC {
     this.curSpeed = this.speed;
     this.isMoving = false;
 
+    this.level = 1;
     this.sprite = 0;
-    this.dialogue = [];
+    this.appearance = null;      // { body, hair, clothes, ... } paper doll, null = plain sprite
+    this.dialogue = [];          // dialogue nodes; the first is where talks start
+  }
+
+  /**
+   * Serialize the NPC template as a plr_tpl packet.
+   * Like mobs, NPCs register their template ID in the client's player_dict.
+   */
+  toTemplatePacket() {
+    const look = this.appearance || {};
+    return {
+      type: 'plr_tpl',
+      id: this.templateId,
+      n: this.name,
+      t: '',
+      l: this.level,
+      s: this.sprite,
+      b: look.body ?? -1,
+      h: look.hair,
+      c: look.clothes,
+      cc: look.clothesColor,
+      hc: look.hairColor,
+      ec: look.eyeColor,
+    };
   }
 
   toSpawnPacket() {
@@ -1,5 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
 import config from '../../core/config.js';
+import { getExpToLevel } from '../data/experience.js';
 
 /**
  * Server-side player entity.
@@ -18,6 +19,7 @@ export class Player {
     this.id = id;
     this.name = name || 'Unknown';
     this.sessionId = null;
+    this.characterId = null;                     // 'characters' document _id, if saved
 
     // Position (authoritative)
     this.x = 50;
@@ -44,6 +46,55 @@ export class Player {
     this.maxHp = 100;
     this.attack = 1;
     this.defense = 0;
+    this.exp = 0;                                // progress into current level
+
+    // Combat stats
+    this.attackSpeed = 1000;                     // ms between attacks
+    this.lastAttackTime = 0;
+    this.accuracy = 0;                           // +1% hit chance per point
+    this.evasion = 0;                            // -1% enemy hit chance per point
+    this.critChance = 0.05;
+    this.critMultiplier = 1.5;
+    this.damageType = 'physical';
+    this.resistances = {};                       // damageType -> fraction ignored
+
+    // PvP state
+    this.pvpEnabled = false;                     // opted in to PvP
+    this.combatFlagUntil = 0;                    // PvP combat flag expiry
+    this.pendingLogout = false;                  // disconnected while flagged
+
+    // Survival meters (0-100)
+    this.hunger = 100;
+    this.thirst = 100;
+    this.speedPenalty = 0;                       // ms added to curSpeed by debuffs
+    this.lastStarveTime = 0;
+
+    // Item effects
+    this.buffs = [];                             // { id, stat, amount, expiresAt, icon, text }
+    this.itemCooldowns = {};                     // cooldown group -> ready time
+    this.bindPoint = null;                       // { mapId, x, y } recall destination
+    this.skills = {};                            // skillId -> level
+    this.crafting = null;                        // { recipeId, completeAt } in progress
+    this.openContainer = null;                   // { key, mapId, x, y, name } being looked into
+
+    // NPC dialogue
+    this.dialogue = null;                        // { npcId, nodeId, choices } in progress
+    this.quests = {};                            // questId -> { state, progress } (see QuestSystem)
+
+    // Economy
+    this.gold = 0;                               // gold balance (saved to the character)
+    this.openShop = null;                        // { shopId, npcId } being browsed
+    this.trade = null;                           // trade session (see TradeSystem)
+
+    // Death state
+    this.isDead = false;
+    this.respawnAt = 0;                          // earliest respawn time
+    this.respawnRequested = false;               // client clicked respawn
+
+    // Equipment (references to items in the inventory)
+    this.equipment = { weapon: null, armor: null, helmet: null, accessory: null };
+    this.equipmentBonus = {};                    // stat -> bonus currently applied
+    this.equipmentAppearance = {};               // plr_tpl overrides from gear
 
     // Template ID for plr_tpl (visual appearance)
     this.templateId = null;
@@ -57,10 +108,14 @@ export class Player {
 
     // State
     this.isGuest = false;
-    this.tribe = '';
+    this.tribe = '';                             // tribe name, shown in plr_tpl (see TribeSystem)
+    this.party = null;                           // party id, for the party chat channel
     this.premium = 0;
     this.isChatting = false;
     this.prefix = '';
+    this.ignored = new Set();                    // lowercase names (saved to the character)
+    this.isModerator = false;                    // from the account
+    this.mutedUntil = 0;                         // chat mute end (ms timestamp, saved to the account)
   }
 
   /**
@@ -103,10 +158,29 @@ export class Player {
     };
   }
 
+  /**
+   * Serialize status bar values for the 's' packet.
+   * Sent only to the owning client. Bars take percentages (0-100).
+   * Matches client: {type:"s", h, k, t, f, e, p, b, ...}
+   * b must always be present: the client clears the buff bar without it.
+   */
+  toStatusPacket() {
+    const expToLevel = getExpToLevel(this.level);
+    return {
+      type: 's',
+      h: Math.round((this.hp / this.maxHp) * 100),
+      e: Number.isFinite(expToLevel) ? Math.floor((this.exp / expToLevel) * 100) : 100,
+      f: Math.floor(this.hunger),
+      b: this.buffs.map(buff => ({ t: buff.text, s: buff.icon })),
+    };
+  }
+
   /**
    * Serialize player template for plr_tpl packet.
+   * Equipped gear may override the base appearance.
    */
   toTemplatePacket() {
+    const look = this.equipmentAppearance;
     return {
       type: 'plr_tpl',
       id: this.id,
@@ -114,12 +188,12 @@ export class Player {
       t: this.tribe,
       l: this.level,
       s: this.sprite,
-      b: this.body,
-      h: this.hair,
-      c: this.clothes,
-      cc: this.clothesColor,
-      hc: this.hairColor,
-      ec: this.eyeColor,
+      b: look.body ?? this.body,
+      h: look.hair ?? this.hair,
+      c: look.clothes ?? this.clothes,
+      cc: look.clothesColor ?? this.clothesColor,
+      hc: look.hairColor ?? this.hairColor,
+      ec: look.eyeColor ?? this.eyeColor,
       pr: this.premium,
     };
   }
@@ -149,7 +223,7 @@ export class Player {
    */
   updateCurSpeed(tileSpeedMod = 0) {
     this.tileSpeedMod = tileSpeedMod;
-    this.curSpeed = this.speed + tileSpeedMod;
+    this.curSpeed = this.speed + tileSpeedMod + this.speedPenalty;
     if (this.curSpeed < 100) this.curSpeed = 100; // minimum speed cap
   }
 }
@@ -15,6 +15,7 @@ export class StateSnapshot {
     this.gameServer = gameServer;
     this.snapshotInterval = 5; // send full snapshot every N ticks
     this.lastSnapshot = new Map(); // playerId -> last sent state hash
+    this.knownTemplates = new Map(); // playerId -> Set of template keys sent
   }
 
   /**
@@ -38,14 +39,27 @@ export class StateSnapshot {
   sendPlayerSnapshots() {
     for (const player of this.gameServer.players.values()) {
       const nearbyPlayers = this.getNearbyPlayers(player);
-      if (nearbyPlayers.length === 0) continue;
+      const nearbyMobs = this.getNearbyMobs(player);
+      const nearbyNpcs = this.getNearbyNpcs(player);
+      if (nearbyPlayers.length === 0 && nearbyMobs.length === 0 && nearbyNpcs.length === 0) continue;
 
       // Send plr_tpl for each nearby player so the client can render them
       for (const p of nearbyPlayers) {
         this.gameServer.network.sendToPlayer(player.id, p.toTemplatePacket());
       }
+      for (const mob of nearbyMobs) {
+        this.sendMobTemplate(player, mob);
+      }
+      for (const npc of nearbyNpcs) {
+        this.sendTemplateOnce(player, `npc:${npc.templateId}`, () => npc.toTemplatePacket());
+      }
 
-      const batchData = nearbyPlayers.map(p => JSON.stringify(p.toSpawnPacket()));
+      // Mobs must be in the batch too: the client drops any entity missing from "pl"
+      const batchData = [
+        ...nearbyPlayers.map(p => JSON.stringify(p.toSpawnPacket())),
+        ...nearbyMobs.map(m => JSON.stringify(m.toSpawnPacket())),
+        ...nearbyNpcs.map(n => JSON.stringify(n.toSpawnPacket())),
+      ];
 
       this.gameServer.network.sendToPlayer(player.id, {
         type: 'pl',
@@ -54,6 +68,45 @@ export class StateSnapshot {
     }
   }
 
+  /**
+   * Send a mob's template to a player once.
+   * Unlike player templates these are shared by every mob of the same kind,
+   * and re-sending plr_tpl makes the client rebuild all entities using it.
+   */
+  sendMobTemplate(player, mob) {
+    this.sendTemplateOnce(player, `mob:${mob.templateId}`, () => mob.toTemplatePacket());
+  }
+
+  /**
+   * Send the obj_tpl for a map object to a player once.
+   * The client crashes on "o"/"map" data naming an unknown object template.
+   */
+  sendObjectTemplate(player, templateId) {
+    this.sendTemplateOnce(
+      player,
+      `obj:${templateId}`,
+      () => this.gameServer.objectRegistry.toTemplatePacket(templateId)
+    );
+  }
+
+  /**
+   * Send a template packet to a player unless it was already sent.
+   * Keys are namespaced by kind (e.g. "mob:wolf", "fx:miss").
+   */
+  sendTemplateOnce(player, key, buildPacket) {
+    let known = this.knownTemplates.get(player.id);
+    if (!known) {
+      known = new Set();
+      this.knownTemplates.set(player.id, known);
+    }
+    if (known.has(key)) return;
+
+    const packet = buildPacket();
+    if (!packet) return;
+    known.add(key);
+    this.gameServer.network.sendToPlayer(player.id, packet);
+  }
+
   /**
    * Get players near a given player (within view distance).
    */
@@ -63,7 +116,7 @@ export class StateSnapshot {
     const vh = config.game.viewHeight;
 
     for (const other of this.gameServer.players.values()) {
-      if (other.id === player.id) continue;
+      if (other.id === player.id || other.isDead) continue;
       if (other.mapId !== player.mapId) continue;
 
       const dx = Math.abs(other.x - player.x);
@@ -74,4 +127,69 @@ export class StateSnapshot {
     }
     return nearby;
   }
+
+  /**
+   * Get live mobs near a given player (within view distance).
+   */
+  getNearbyMobs(player) {
+    const nearby = [];
+    const vw = config.game.viewWidth;
+    const vh = config.game.viewHeight;
+
+    for (const mob of this.gameServer.mobs.values()) {
+      if (mob.isDead || mob.mapId !== player.mapId) continue;
+
+      const dx = Math.abs(mob.x - player.x);
+      const dy = Math.abs(mob.y - player.y);
+      if (dx <= vw && dy <= vh) {
+        nearby.push(mob);
+      }
+    }
+    return nearby;
+  }
+
+  /**
+   * Get NPCs near a given player (within view distance).
+   */
+  getNearbyNpcs(player) {
+    const nearby = [];
+    const vw = config.game.viewWidth;
+    const vh = config.game.viewHeight;
+
+    for (const npc of this.gameServer.npcs.values()) {
+      if (npc.mapId !== player.mapId) continue;
+
+      const dx = Math.abs(npc.x - player.x);
+      const dy = Math.abs(npc.y - player.y);
+      if (dx <= vw && dy <= vh) {
+        nearby.push(npc);
+      }
+    }
+    return nearby;
+  }
+
+  /**
+   * Get players who can see a given tile (within view distance).
+   */
+  getPlayersInView(x, y, mapId) {
+    const viewers = [];
+    const vw = config.game.viewWidth;
+    const vh = config.game.viewHeight;
+
+    for (const player of this.gameServer.players.values()) {
+      if (player.mapId !== mapId) continue;
+      if (Math.abs(player.x - x) <= vw && Math.abs(player.y - y) <= vh) {
+        viewers.push(player);
+      }
+    }
+    return viewers;
+  }
+
+  /**
+   * Remove tracking for a player.
+   */
+  removePlayer(playerId) {
+    this.lastSnapshot.delete(playerId);
+    this.knownTemplates.delete(playerId);
+  }
 }
@@ -0,0 +1,94 @@
+import { logger } from '../../utils/logger.js';
+import config from '../../core/config.js';
+
+/**
+ * Building System.
+ * Places structures (recipes with "place": true) on the tile in front of
+ * the player and persists them to MongoDB (worldData).
+ *
+ * A build is refused unless:
+ *   - the map allows building and is not a safe zone
+ *   - the player may build (guests only if config.game.guestsCanBuild)
+ *   - the recipe's skill, tool and material requirements are met
+ *   - the target tile is walkable, free of entities and has no objects
+ *
+ * From client analysis:
+ *   - Structures share the build dialog with crafts; both send
+ *     {type:"bld", tpl}. Structure entries have p:0 ("Build" button).
+ */
+export class BuildingSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+  }
+
+  /**
+   * Place a structure in front of the player.
+   * Client sends: {type:"bld", tpl}
+   */
+  handleBuild(player, recipe) {
+    const map = this.gameServer.mapLoader.getMap(player.mapId);
+    if (!map) return;
+
+    const x = player.x + [0, 1, 0, -1][player.dir];
+    const y = player.y + [-1, 0, 1, 0][player.dir];
+
+    const error = this.checkPermission(player, map) ||
+      this.gameServer.craftingSystem.checkRequirements(player, recipe) ||
+      this.checkTile(player, map, x, y);
+    if (error) {
+      this.gameServer.sendMessage(player, error);
+      return;
+    }
+
+    const inventory = this.gameServer.inventorySystem;
+    for (const [templateId, quantity] of Object.entries(recipe.inputs)) {
+      inventory.removeItem(player, templateId, quantity);
+    }
+    inventory.sendInventory(player);
+
+    const templateId = recipe.object;
+    map.placeObject(x, y, templateId);
+    this.gameServer.broadcastTileObjects(player.mapId, x, y);
+    this.persistTile(map, x, y, player.name);
+
+    logger.info(`Player ${player.name} built ${templateId} at ${player.mapId} (${x}, ${y})`);
+  }
+
+  checkPermission(player, map) {
+    if (map.isSafe || !map.allowBuilding) return 'You cannot build here.';
+    if (player.isGuest && !config.game.guestsCanBuild) {
+      return 'Guests cannot build. Create an account to build.';
+    }
+    return null;
+  }
+
+  checkTile(player, map, x, y) {
+    if (!map.isWalkable(x, y) || map.getObjects(x, y).length > 0) {
+      return 'There is no room to build there.';
+    }
+    if (this.gameServer.movementSystem.isTileOccupiedByEntity(x, y, player.mapId, null)) {
+      return 'Something is in the way.';
+    }
+    return null;
+  }
+
+  /**
+   * Save a tile's player-built objects. Failures are logged, not fatal:
+   * the structure stays in the running world either way.
+   */
+  persistTile(map, x, y, placedBy) {
+    this.gameServer.mongo
+      .saveWorldObject(map.id, x, y, [...map.getPlacedObjects(x, y)], placedBy)
+      .catch(err => logger.error(`Failed to save world object at (${x}, ${y}): ${err.message}`));
+  }
+
+  /**
+   * Save a state change (e.g. a door opening) of a tile's player-built
+   * objects, keeping who placed them.
+   */
+  persistState(map, x, y) {
+    this.gameServer.mongo
+      .updateWorldObjects(map.id, x, y, [...map.getPlacedObjects(x, y)])
+      .catch(err => logger.error(`Failed to update world object at (${x}, ${y}): ${err.message}`));
+  }
+}
@@ -0,0 +1,303 @@
+import { logger } from '../../utils/logger.js';
+
+// Longest chat message passed on (longer ones are cut).
+const MAX_MESSAGE_LENGTH = 200;
+
+// Default upper bound for /roll.
+const ROLL_DEFAULT_MAX = 100;
+
+// Most names listed by /online before "and N more".
+const ONLINE_LIST_LIMIT = 20;
+
+/**
+ * Chat channels, keyed by name. recipients() returns the players who hear
+ * a message, or a string explaining why the sender cannot use the channel.
+ * Messages on tagged channels are printed as "[Tag] Name: text"; local
+ * messages carry the sender's id so the client shows a chat bubble.
+ */
+const CHANNELS = {
+  local: {
+    recipients: (system, sender) =>
+      system.gameServer.stateSnapshot.getPlayersInView(sender.x, sender.y, sender.mapId),
+  },
+  global: {
+    tag: 'Global',
+    recipients: (system, sender) => [...system.gameServer.players.values()],
+  },
+  tribe: {
+    tag: 'Tribe',
+    recipients: (system, sender) => {
+      if (!sender.tribe) return 'You are not in a tribe.';
+      return [...system.gameServer.players.values()].filter(player => player.tribe === sender.tribe);
+    },
+  },
+  party: {
+    tag: 'Party',
+    recipients: (system, sender) => {
+      if (!sender.party) return 'You are not in a party.';
+      return [...system.gameServer.players.values()].filter(player => player.party === sender.party);
+    },
+  },
+};
+
+/**
+ * Chat System.
+ * Routes {type:"chat", data} to channels and slash commands. Plain text
+ * goes to the local channel; "/name args" runs a registered command. A bare
+ * number during an NPC conversation picks that dialogue choice.
+ *
+ * Other systems add commands with registerCommand():
+ *
+ *   chat.registerCommand('trade', {
+ *     usage: '/trade name', help: 'Ask a player to trade',
+ *     run: (player, args) => { ... },
+ *   });
+ *
+ * Commands report problems with reply(), which only the sender sees.
+ * Unknown commands and commands that throw get a reply too.
+ *
+ * Players' ignore lists (player.ignored, lowercase names) are saved to
+ * the character and apply to every channel and whispers.
+ *
+ * Chat packets are rate limited and written messages go through
+ * ModerationSystem (mutes, repeats, word filter) before they are sent.
+ *
+ * From client analysis:
+ *   - The chat mode toggle prefixes messages: "/b " global, "/tc " tribe,
+ *     "/p " party, "/t name " tell. "/drop" is handled by the client.
+ *   - message text is unescape()d and appended as HTML, so player text is
+ *     escaped before it is sent.
+ */
+export class ChatSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.commands = new Map(); // name or alias -> command
+    this.registerBuiltins();
+  }
+
+  /**
+   * Add a slash command. run(player, args, rest) gets the words after the
+   * command and the raw text after it.
+   */
+  registerCommand(name, { usage = `/${name}`, help = '', aliases = [], run }) {
+    const command = { name, usage, help, aliases, run };
+    for (const key of [name, ...aliases]) {
+      if (this.commands.has(key)) logger.warn(`Chat command /${key} registered twice`);
+      this.commands.set(key, command);
+    }
+  }
+
+  /**
+   * Client sends: {type:"chat", data}
+   */
+  handleChat(player, message) {
+    const text = message.trim();
+    if (!text || !this.gameServer.moderationSystem.checkRate(player)) return;
+
+    if (player.dialogue && /^\d+$/.test(text)) {
+      this.gameServer.dialogueSystem.handleChoice(player, Number(text));
+      return;
+    }
+
+    if (!text.startsWith('/')) {
+      this.sendToChannel(player, 'local', text);
+      return;
+    }
+
+    const [word, ...args] = text.slice(1).split(/\s+/);
+    const rest = text.slice(1 + word.length).trim();
+    const command = this.commands.get(word.toLowerCase());
+    if (!command) {
+      this.reply(player, `Unknown command /${word}. Type /help for a list.`);
+      return;
+    }
+
+    try {
+      command.run(player, args, rest);
+    } catch (err) {
+      logger.error(`Chat command /${command.name} from ${player.name} failed: ${err.message}`);
+      this.reply(player, `/${command.name} failed.`);
+    }
+  }
+
+  /**
+   * Send a message from a player to everyone on a channel.
+   */
+  sendToChannel(sender, channelName, text) {
+    const channel = CHANNELS[channelName];
+    const recipients = channel.recipients(this, sender);
+    if (typeof recipients === 'string') {
+      this.reply(sender, recipients);
+      return;
+    }
+    const allowed = text ? this.gameServer.moderationSystem.filterMessage(sender, text) : null;
+    if (!allowed) return;
+
+    const body = this.escape(allowed.substring(0, MAX_MESSAGE_LENGTH));
+    const packet = channel.tag
+      ? { type: 'message', text: `[${channel.tag}] ${sender.name}: ${body}` }
+      : { type: 'message', id: sender.id, text: body };
+
+    for (const recipient of recipients) {
+      if (this.isIgnoring(recipient, sender)) continue;
+      this.gameServer.network.sendToPlayer(recipient.id, packet);
+    }
+    logger.debug(`[${channelName}] ${sender.name}: ${text}`);
+  }
+
+  /**
+   * Send a private message to a player by name.
+   */
+  whisper(sender, name, text) {
+    const target = name ? this.gameServer.findPlayerByName(name) : null;
+    if (!target) {
+      this.reply(sender, name ? `${name} is not online.` : 'Usage: /w name message');
+      return;
+    }
+    const allowed = text ? this.gameServer.moderationSystem.filterMessage(sender, text) : null;
+    if (!allowed) return;
+
+    const body = this.escape(allowed.substring(0, MAX_MESSAGE_LENGTH));
+    if (!this.isIgnoring(target, sender)) {
+      this.gameServer.sendMessage(target, `From ${sender.name}: ${body}`);
+    }
+    this.gameServer.sendMessage(sender, `To ${target.name}: ${body}`);
+    logger.debug(`[whisper] ${sender.name} -> ${target.name}: ${text}`);
+  }
+
+  /**
+   * A system line only the player sees.
+   */
+  reply(player, text) {
+    this.gameServer.sendMessage(player, text);
+  }
+
+  isIgnoring(player, sender) {
+    return player !== sender && player.ignored.has(sender.name.toLowerCase());
+  }
+
+  /**
+   * Toggle a name on a player's ignore list.
+   */
+  toggleIgnore(player, name) {
+    const key = name.toLowerCase();
+    if (key === player.name.toLowerCase()) {
+      this.reply(player, 'You cannot ignore yourself.');
+      return;
+    }
+
+    if (player.ignored.has(key)) {
+      player.ignored.delete(key);
+      this.reply(player, `You no longer ignore ${name}.`);
+    } else {
+      player.ignored.add(key);
+      this.reply(player, `You now ignore ${name}.`);
+    }
+    this.gameServer.saveCharacter(player, { ignored: [...player.ignored] });
+  }
+
+  escape(text) {
+    return text
+      .replace(/%/g, '%25')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  registerBuiltins() {
+    this.registerCommand('help', {
+      help: 'List chat commands',
+      run: (player) => {
+        const seen = new Set(this.commands.values());
+        for (const command of seen) {
+          this.reply(player, command.help ? `${command.usage} - ${command.help}` : command.usage);
+        }
+      },
+    });
+
+    this.registerCommand('w', {
+      usage: '/w name message',
+      help: 'Whisper to a player',
+      aliases: ['t', 'tell', 'whisper'],
+      run: (player, args, rest) => this.whisper(player, args[0], rest.slice((args[0] || '').length).trim()),
+    });
+
+    this.registerCommand('s', {
+      usage: '/s message',
+      help: 'Talk to players nearby',
+      aliases: ['say', 'l'],
+      run: (player, args, rest) => this.sendToChannel(player, 'local', rest),
+    });
+
+    this.registerCommand('b', {
+      usage: '/b message',
+      help: 'Talk to everyone online',
+      aliases: ['g', 'global'],
+      run: (player, args, rest) => this.sendToChannel(player, 'global', rest),
+    });
+
+    this.registerCommand('tc', {
+      usage: '/tc message',
+      help: 'Talk to your tribe',
+      run: (player, args, rest) => this.sendToChannel(player, 'tribe', rest),
+    });
+
+    this.registerCommand('p', {
+      usage: '/p message',
+      help: 'Talk to your party',
+      aliases: ['party'],
+      run: (player, args, rest) => this.sendToChannel(player, 'party', rest),
+    });
+
+    this.registerCommand('who', {
+      help: 'List players nearby',
+      run: (player) => {
+        const names = this.gameServer.stateSnapshot
+          .getPlayersInView(player.x, player.y, player.mapId)
+          .filter(other => other !== player)
+          .map(other => other.name);
+        this.reply(player, names.length > 0 ? `Nearby: ${names.join(', ')}` : 'Nobody is nearby.');
+      },
+    });
+
+    this.registerCommand('online', {
+      help: 'List players online',
+      run: (player) => {
+        const names = [...this.gameServer.players.values()].map(other => other.name);
+        const shown = names.slice(0, ONLINE_LIST_LIMIT).join(', ');
+        const more = names.length > ONLINE_LIST_LIMIT ? ` and ${names.length - ONLINE_LIST_LIMIT} more` : '';
+        this.reply(player, `${names.length} online: ${shown}${more}`);
+      },
+    });
+
+    this.registerCommand('roll', {
+      usage: '/roll [max]',
+      help: `Roll a number from 1 to max (default ${ROLL_DEFAULT_MAX})`,
+      run: (player, args) => {
+        const max = args.length > 0 ? Number(args[0]) : ROLL_DEFAULT_MAX;
+        if (!Number.isInteger(max) || max < 2 || max > 1000000) {
+          this.reply(player, 'Usage: /roll [max], max from 2 to 1000000');
+          return;
+        }
+        const roll = 1 + Math.floor(Math.random() * max);
+        const text = `${player.name} rolls ${roll} (1-${max}).`;
+        for (const viewer of this.gameServer.stateSnapshot.getPlayersInView(player.x, player.y, player.mapId)) {
+          if (!this.isIgnoring(viewer, player)) this.gameServer.sendMessage(viewer, text);
+        }
+      },
+    });
+
+    this.registerCommand('ignore', {
+      usage: '/ignore [name]',
+      help: 'Ignore or unignore a player; alone, list ignored players',
+      run: (player, args) => {
+        if (args.length === 0) {
+          const names = [...player.ignored];
+          this.reply(player, names.length > 0 ? `Ignoring: ${names.join(', ')}` : 'You are not ignoring anyone.');
+          return;
+        }
+        this.toggleIgnore(player, args[0]);
+      },
+    });
+  }
+}
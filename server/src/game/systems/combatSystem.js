@@ -1,8 +1,39 @@
+import { Mob } from '../entities/mob.js';
+import { Player } from '../entities/player.js';
+import { clamp } from '../../utils/math.js';
 import { logger } from '../../utils/logger.js';
 
+// Hit chance before accuracy/evasion; each point of difference is worth 1%.
+const BASE_HIT_CHANCE = 0.9;
+const MIN_HIT_CHANCE = 0.05;
+const MAX_HIT_CHANCE = 0.99;
+
+// Resistances are fractions of damage ignored; negative values are weaknesses.
+const MAX_RESISTANCE = 0.9;
+
+// How long a PvP hit keeps both players flagged (ms).
+const COMBAT_FLAG_DURATION = 15000;
+
 /**
- * Combat System (placeholder for extensibility).
+ * Combat System.
  * Handles attack actions, damage calculation, and death.
+ *
+ * Attack resolution (players and mobs alike):
+ *   1. Cooldown: one attack per attacker.attackSpeed ms
+ *   2. Hit roll: BASE_HIT_CHANCE + (accuracy - evasion) / 100
+ *   3. Damage:   max(1, attack - defense), scaled by the target's
+ *                resistances[attacker.damageType]
+ *   4. Crit roll: critChance, damage * critMultiplier
+ *
+ * Misses and crits are shown with {type:"fx"} effects at the target tile.
+ *
+ * PvP is governed by the map's pvpPolicy:
+ *   'off'     - players cannot hit each other
+ *   'flagged' - only between players who opted in (c/pv toggle)
+ *   'ffa'     - free for all
+ * Safe maps and members of the same tribe are always exempt. A PvP hit
+ * combat-flags both players; flagged players cannot turn PvP off and
+ * stay in the world after disconnecting until the flag expires.
  */
 export class CombatSystem {
   constructor(gameServer) {
@@ -14,17 +45,169 @@ export class CombatSystem {
    * Client sends: {type:"a"}
    */
   handleAction(player) {
+    if (!this.canAttack(player, Date.now())) return;
+
     // Determine target based on facing direction
     const targetX = player.x + [0, 1, 0, -1][player.dir];
     const targetY = player.y + [-1, 0, 1, 0][player.dir];
 
-    // Find entity at target tile
+    // NPCs are talked to, not attacked
+    const npc = this.gameServer.dialogueSystem.findNpcAt(targetX, targetY, player.mapId);
+    if (npc) {
+      player.lastAttackTime = Date.now();
+      this.gameServer.dialogueSystem.startDialogue(player, npc);
+      return;
+    }
+
+    // Find entity at target tile; with none there, use the objects on it
     const target = this.findEntityAt(targetX, targetY, player.mapId);
-    if (!target) return;
+    if (!target) {
+      this.gameServer.interactionSystem.handleInteract(player, targetX, targetY);
+      return;
+    }
+
+    if (target instanceof Player) {
+      if (!this.canAttackPlayer(player, target)) return;
+      this.flagCombat(player);
+      this.flagCombat(target);
+    }
+
+    this.performAttack(player, target);
+
+    // Mobs retaliate against whoever hits them
+    if (target instanceof Mob) {
+      this.gameServer.mobAISystem.onMobDamaged(target, player);
+    }
+  }
+
+  /**
+   * Handle a melee attack from a mob against a player.
+   * Called by the mob AI when the target is adjacent.
+   */
+  handleMobAttack(mob, target) {
+    if (mob.isDead || target.isDead) return;
+    if (!this.canAttack(mob, Date.now())) return;
+    this.performAttack(mob, target);
+  }
+
+  /**
+   * Check whether one player may attack another under the map's PvP rules.
+   */
+  canAttackPlayer(attacker, target) {
+    if (attacker.id === target.id || target.isDead) return false;
+
+    const map = this.gameServer.mapLoader.getMap(attacker.mapId);
+    if (!map || map.isSafe) return false;
 
-    // Calculate damage (basic formula)
-    const damage = Math.max(1, player.attack - target.defense);
-    target.hp -= damage;
+    if (attacker.tribe && attacker.tribe === target.tribe) return false;
+
+    switch (map.pvpPolicy) {
+      case 'ffa':
+        return true;
+      case 'flagged':
+        return attacker.pvpEnabled && target.pvpEnabled;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Mark a player as in PvP combat.
+   */
+  flagCombat(player) {
+    player.combatFlagUntil = Date.now() + COMBAT_FLAG_DURATION;
+  }
+
+  isCombatFlagged(player, now) {
+    return player.combatFlagUntil > now;
+  }
+
+  /**
+   * Toggle a player's PvP opt-in.
+   * Client sends: {type:"c", r:"pv"} (stat dialog PvP button)
+   */
+  togglePvp(player) {
+    if (player.pvpEnabled && this.isCombatFlagged(player, Date.now())) {
+      this.gameServer.sendMessage(player, 'You cannot disable PvP while in combat.');
+      return;
+    }
+
+    player.pvpEnabled = !player.pvpEnabled;
+    this.gameServer.sendMessage(player, player.pvpEnabled ? 'PvP enabled.' : 'PvP disabled.');
+  }
+
+  /**
+   * Check an attacker's attack-speed cooldown.
+   */
+  canAttack(attacker, now) {
+    return now - attacker.lastAttackTime >= attacker.attackSpeed;
+  }
+
+  /**
+   * Resolve one attack: start the cooldown, roll hit and crit, apply damage.
+   * Returns { hit, crit, damage }.
+   */
+  performAttack(attacker, target) {
+    attacker.lastAttackTime = Date.now();
+
+    const result = this.rollAttack(attacker, target);
+    if (!result.hit) {
+      this.gameServer.playEffect('miss', target.x, target.y, target.mapId);
+      return result;
+    }
+
+    if (result.crit) {
+      this.gameServer.playEffect('crit', target.x, target.y, target.mapId);
+    }
+    this.applyDamage(attacker, target, result.damage);
+
+    // Weapons wear on hits dealt, armor on hits taken
+    if (attacker instanceof Player) {
+      this.gameServer.equipmentSystem.onAttackHit(attacker);
+    }
+    if (target instanceof Player) {
+      this.gameServer.equipmentSystem.onDamageTaken(target);
+    }
+    return result;
+  }
+
+  /**
+   * Roll hit, damage and crit for an attack without applying it.
+   */
+  rollAttack(attacker, target) {
+    const hitChance = clamp(
+      BASE_HIT_CHANCE + (attacker.accuracy - target.evasion) / 100,
+      MIN_HIT_CHANCE,
+      MAX_HIT_CHANCE
+    );
+    if (Math.random() >= hitChance) {
+      return { hit: false, crit: false, damage: 0 };
+    }
+
+    const resistance = clamp(
+      target.resistances[attacker.damageType] || 0,
+      -1,
+      MAX_RESISTANCE
+    );
+    const crit = Math.random() < attacker.critChance;
+
+    let damage = Math.max(1, attacker.attack - target.defense) * (1 - resistance);
+    if (crit) damage *= attacker.critMultiplier;
+
+    return { hit: true, crit, damage: Math.max(1, Math.round(damage)) };
+  }
+
+  /**
+   * Apply damage to a target, broadcast the HP bar and resolve death.
+   */
+  applyDamage(attacker, target, damage) {
+    target.hp = Math.max(0, target.hp - damage);
+
+    // Players cannot die in safe zones
+    if (target instanceof Player && target.hp <= 0) {
+      const map = this.gameServer.mapLoader.getMap(target.mapId);
+      if (map && map.isSafe) target.hp = 1;
+    }
 
     // Send HP update
     this.gameServer.network.broadcastToNearby(
@@ -37,9 +220,12 @@ export class CombatSystem {
       },
       null
     );
+    if (target instanceof Player) {
+      this.gameServer.network.sendToPlayer(target.id, target.toStatusPacket());
+    }
 
     if (target.hp <= 0) {
-      this.handleDeath(target, player);
+      this.handleDeath(target, attacker);
     }
   }
 
@@ -50,6 +236,13 @@ export class CombatSystem {
         return mob;
       }
     }
+
+    // Check players
+    for (const player of this.gameServer.players.values()) {
+      if (player.mapId === mapId && player.x === x && player.y === y && !player.isDead) {
+        return player;
+      }
+    }
     return null;
   }
 
@@ -57,9 +250,43 @@ export class CombatSystem {
     entity.isDead = true;
     entity.hp = 0;
     logger.info(`Entity ${entity.name} (${entity.id}) killed by ${killer.name}`);
+
+    if (entity instanceof Mob) {
+      if (killer instanceof Player) {
+        this.gameServer.progressionSystem.awardKillExp(killer, entity);
+        this.gameServer.questSystem.onKill(killer, entity);
+      }
+      this.dropMobLoot(entity, killer);
+      this.gameServer.spawnSystem.onMobDeath(entity);
+    } else if (entity instanceof Player) {
+      this.gameServer.deathSystem.handlePlayerDeath(entity, killer);
+    }
+  }
+
+  /**
+   * Roll a dead mob's loot table and drop the result at its tile.
+   * Loot from a player kill is reserved for the killer.
+   */
+  dropMobLoot(mob, killer) {
+    const drops = this.gameServer.lootRegistry.roll(mob.lootTable);
+    if (drops.length === 0) return;
+
+    const items = drops
+      .map(drop => this.gameServer.itemRegistry.createItem(drop.templateId, drop.quantity))
+      .filter(Boolean);
+    this.gameServer.groundItemSystem.dropLoot(
+      mob.mapId, mob.x, mob.y, items,
+      killer instanceof Player ? killer : null
+    );
   }
 
   update(deltaTime, tickCount) {
-    // Process respawns, combat timers, etc.
+    // Finish delayed logouts once the combat flag is gone
+    const now = Date.now();
+    for (const player of this.gameServer.players.values()) {
+      if (player.pendingLogout && (player.isDead || !this.isCombatFlagged(player, now))) {
+        this.gameServer.removePlayer(player.id);
+      }
+    }
   }
 }
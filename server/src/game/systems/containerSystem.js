@@ -0,0 +1,189 @@
+import { getKey } from '../../utils/math.js';
+import { logger } from '../../utils/logger.js';
+
+// First slot of the client's last inventory page (item_page 4 * item_length 15).
+export const CONTAINER_SLOT_OFFSET = 60;
+
+// Most slots a container can have (one client inventory page).
+const MAX_CONTAINER_SLOTS = 15;
+
+// How far (in tiles, including diagonals) a player may be from an open container.
+const CONTAINER_RANGE = 1;
+
+/**
+ * Container System.
+ * Chests and other storage objects. Templates in objects.json carry:
+ *
+ *   { "chest": { "interact": "chest", "container": { slots: 15, shared: true } } }
+ *
+ * A shared container has one set of contents per tile; otherwise every
+ * player gets their own contents at that tile. Contents are kept in memory
+ * only and are lost on restart.
+ *
+ * An open container (player.openContainer) is shown as the last page of
+ * the inventory, slots CONTAINER_SLOT_OFFSET and up. It closes when the
+ * player walks away, changes map or dies.
+ *
+ * From client analysis:
+ *   - The inventory has 5 pages of item_length (15) slots; "inv" entries
+ *     with slot >= 60 are drawn on the last page.
+ *   - {type:"sw", slot, swap} and {type:"u", slot} carry page-offset slots,
+ *     so items are moved in and out by dragging between pages.
+ */
+export class ContainerSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.containers = new Map(); // containerKey -> items[]
+  }
+
+  isContainerSlot(slot) {
+    return slot >= CONTAINER_SLOT_OFFSET;
+  }
+
+  /**
+   * Open the container object on a tile for a player.
+   */
+  open(player, map, x, y, template) {
+    if (player.trade) {
+      this.gameServer.sendMessage(player, 'Finish your trade first.');
+      return;
+    }
+    const settings = template.container || {};
+    const tileKey = `${map.id}:${getKey(x, y)}`;
+    const key = settings.shared ? tileKey : `${tileKey}:${player.id}`;
+
+    if (!this.containers.has(key)) {
+      const size = Math.min(settings.slots || MAX_CONTAINER_SLOTS, MAX_CONTAINER_SLOTS);
+      this.containers.set(key, new Array(size).fill(null));
+    }
+
+    player.openShop = null;
+    player.openContainer = { key, mapId: map.id, x, y, name: template.name };
+    this.gameServer.inventorySystem.sendInventory(player);
+    this.gameServer.sendMessage(
+      player,
+      `You open the ${template.name}. Its contents are on the last inventory page.`
+    );
+  }
+
+  close(player) {
+    if (!player.openContainer) return;
+    player.openContainer = null;
+    this.gameServer.inventorySystem.sendInventory(player);
+  }
+
+  getOpenItems(player) {
+    return player.openContainer ? this.containers.get(player.openContainer.key) : null;
+  }
+
+  /**
+   * Resolve a client slot to the list holding it and the index within.
+   */
+  resolveSlot(player, slot) {
+    if (!this.isContainerSlot(slot)) {
+      const inventory = this.gameServer.inventorySystem.getInventory(player.id);
+      return inventory && slot < inventory.length ? { items: inventory, index: slot } : null;
+    }
+    const items = this.getOpenItems(player);
+    const index = slot - CONTAINER_SLOT_OFFSET;
+    return items && index < items.length ? { items, index } : null;
+  }
+
+  /**
+   * Move, merge or swap items where at least one slot is in the container.
+   * Client sends: {type:"sw", slot, swap}
+   */
+  handleSwap(player, slot, swap) {
+    const from = this.resolveSlot(player, slot);
+    const to = this.resolveSlot(player, swap);
+    if (!from || !to || slot === swap) return;
+
+    const fromItem = from.items[from.index];
+    const toItem = to.items[to.index];
+    if (!fromItem) return;
+
+    // Equipped gear stays in the inventory
+    const equipment = this.gameServer.equipmentSystem;
+    if (from.items !== to.items &&
+        [fromItem, toItem].some(item => item && equipment.isEquipped(player, item))) {
+      this.gameServer.sendMessage(player, 'Unequip it first.');
+      return;
+    }
+
+    const maxStack = this.gameServer.itemRegistry.getMaxStack(fromItem.templateId);
+    if (toItem && toItem.templateId === fromItem.templateId && maxStack > 1 && toItem.quantity < maxStack) {
+      const moved = Math.min(fromItem.quantity, maxStack - toItem.quantity);
+      toItem.quantity += moved;
+      fromItem.quantity -= moved;
+      if (fromItem.quantity <= 0) from.items[from.index] = null;
+    } else {
+      from.items[from.index] = toItem;
+      to.items[to.index] = fromItem;
+    }
+
+    logger.debug(`Player ${player.name} moves ${fromItem.templateId} (${slot} -> ${swap})`);
+    this.syncViewers(player.openContainer.key);
+  }
+
+  /**
+   * Take a whole stack from the container into the inventory.
+   * Client sends: {type:"u", slot} on a container slot
+   */
+  takeItem(player, slot) {
+    const target = this.resolveSlot(player, slot);
+    const item = target ? target.items[target.index] : null;
+    if (!item) return;
+
+    const leftover = this.gameServer.inventorySystem.addItem(player, item.templateId, item.quantity, item);
+    if (leftover === item.quantity) {
+      this.gameServer.sendMessage(player, 'Your inventory is full.');
+      return;
+    }
+    if (leftover > 0) {
+      item.quantity = leftover;
+    } else {
+      target.items[target.index] = null;
+    }
+    this.syncViewers(player.openContainer.key);
+  }
+
+  /**
+   * Resend the inventory to everyone looking into a container.
+   */
+  syncViewers(key) {
+    for (const viewer of this.gameServer.players.values()) {
+      if (viewer.openContainer && viewer.openContainer.key === key) {
+        this.gameServer.inventorySystem.sendInventory(viewer);
+      }
+    }
+  }
+
+  /**
+   * Serialize the open container's slots for the inv packet.
+   */
+  toSlotPackets(player) {
+    const items = this.getOpenItems(player);
+    if (!items) return [];
+    const inventory = this.gameServer.inventorySystem;
+    const data = [];
+    items.forEach((item, index) => {
+      if (item) data.push(inventory.toSlotPacket(player, item, CONTAINER_SLOT_OFFSET + index));
+    });
+    return data;
+  }
+
+  /**
+   * Called each tick; closes containers players have walked away from.
+   */
+  update(deltaTime, tickCount) {
+    for (const player of this.gameServer.players.values()) {
+      const open = player.openContainer;
+      if (!open) continue;
+      const inRange = player.mapId === open.mapId &&
+        Math.max(Math.abs(player.x - open.x), Math.abs(player.y - open.y)) <= CONTAINER_RANGE;
+      if (!inRange || player.isDead) {
+        this.close(player);
+      }
+    }
+  }
+}
@@ -0,0 +1,158 @@
+import { logger } from '../../utils/logger.js';
+
+// How far (in tiles, including diagonals) a crafting station may be.
+const STATION_RANGE = 2;
+
+/**
+ * Crafting System.
+ * Turns inventory items into new items following RecipeRegistry recipes.
+ *
+ * Flow: {type:"bld", tpl} -> handleCraft checks the requirements and starts
+ * a timed craft (player.crafting). When the time is up the requirements
+ * are checked again and the inputs are consumed and the output added in
+ * one step, so a craft either completes fully or changes nothing.
+ */
+export class CraftingSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+  }
+
+  /**
+   * Start crafting a recipe.
+   * Client sends: {type:"bld", tpl}
+   */
+  handleCraft(player, recipeId) {
+    const recipe = this.gameServer.recipeRegistry.get(recipeId);
+    if (!recipe) {
+      logger.debug(`Unknown recipe ${recipeId} from ${player.name}`);
+      return;
+    }
+    if (player.crafting) {
+      this.gameServer.sendMessage(player, 'You are already crafting something.');
+      return;
+    }
+
+    const error = this.checkRequirements(player, recipe);
+    if (error) {
+      this.gameServer.sendMessage(player, error);
+      return;
+    }
+
+    if (recipe.time > 0) {
+      player.crafting = { recipeId, completeAt: Date.now() + recipe.time };
+      this.gameServer.sendMessage(player, `You begin making ${this.getOutputName(recipe)}...`);
+    } else {
+      this.completeCraft(player, recipe);
+    }
+  }
+
+  /**
+   * Check a recipe against the player's skills, inventory and surroundings.
+   * Returns an error message, or null if the recipe can be crafted.
+   */
+  checkRequirements(player, recipe) {
+    const inventory = this.gameServer.inventorySystem;
+    const items = this.gameServer.itemRegistry;
+
+    if (recipe.skill && (player.skills[recipe.skill.id] || 0) < recipe.skill.level) {
+      return `You need ${recipe.skill.id} level ${recipe.skill.level}.`;
+    }
+
+    if (recipe.tool && inventory.countItem(player, recipe.tool) <= 0) {
+      const tool = items.get(recipe.tool);
+      return `You need a ${tool ? tool.name : recipe.tool}.`;
+    }
+
+    for (const [templateId, quantity] of Object.entries(recipe.inputs)) {
+      if (inventory.countItem(player, templateId) < quantity) {
+        return 'You do not have the required materials.';
+      }
+    }
+
+    if (recipe.station && !this.isNearStation(player, recipe.station)) {
+      return `You must be near a ${recipe.station}.`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check for a station object within STATION_RANGE of the player.
+   */
+  isNearStation(player, stationId) {
+    const map = this.gameServer.mapLoader.getMap(player.mapId);
+    if (!map) return false;
+
+    for (let dy = -STATION_RANGE; dy <= STATION_RANGE; dy++) {
+      for (let dx = -STATION_RANGE; dx <= STATION_RANGE; dx++) {
+        if (map.getObjects(player.x + dx, player.y + dy).includes(stationId)) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Consume the inputs and hand out the output, or change nothing.
+   */
+  completeCraft(player, recipe) {
+    const inventory = this.gameServer.inventorySystem;
+
+    const error = this.checkRequirements(player, recipe);
+    if (error) {
+      this.gameServer.sendMessage(player, error);
+      return false;
+    }
+
+    const output = { [recipe.output.item]: recipe.output.quantity };
+    if (!inventory.canExchange(player, recipe.inputs, output)) {
+      this.gameServer.sendMessage(player, 'Your inventory is full.');
+      return false;
+    }
+    for (const [templateId, quantity] of Object.entries(recipe.inputs)) {
+      inventory.removeItem(player, templateId, quantity);
+    }
+    inventory.addItem(player, recipe.output.item, recipe.output.quantity);
+    inventory.sendInventory(player);
+
+    this.gameServer.sendMessage(player, `You made ${this.getOutputName(recipe)}.`);
+    logger.debug(`Player ${player.name} crafted ${recipe.id}`);
+    return true;
+  }
+
+  getOutputName(recipe) {
+    const output = this.gameServer.itemRegistry.get(recipe.output.item);
+    const name = output ? output.name : recipe.output.item;
+    return recipe.output.quantity > 1 ? `${recipe.output.quantity}x ${name}` : name;
+  }
+
+  /**
+   * Send the recipe list for the build dialog.
+   */
+  sendRecipes(player) {
+    this.gameServer.network.sendToPlayer(
+      player.id,
+      this.gameServer.recipeRegistry.toBuildPacket(
+        this.gameServer.itemRegistry,
+        this.gameServer.objectRegistry
+      )
+    );
+  }
+
+  /**
+   * Called each tick to finish timed crafts.
+   */
+  update(deltaTime, tickCount) {
+    const now = Date.now();
+    for (const player of this.gameServer.players.values()) {
+      if (!player.crafting || now < player.crafting.completeAt) continue;
+
+      const recipe = this.gameServer.recipeRegistry.get(player.crafting.recipeId);
+      player.crafting = null;
+      if (recipe && !player.isDead) {
+        this.completeCraft(player, recipe);
+      }
+    }
+  }
+}
@@ -0,0 +1,133 @@
+import { Player } from '../entities/player.js';
+import { logger } from '../../utils/logger.js';
+import config from '../../core/config.js';
+
+/**
+ * Player Death System
+ *
+ * From client analysis:
+ *   - {type:"death", death, angel_dust} makes the client drop control
+ *     (me = -1) and show the spawn dialog with the death text.
+ *   - The dialog's respawn button sends {type:"login", data:"/me"},
+ *     after which the client expects the normal spawn sequence again
+ *     (mt, plr_tpl, p, map, pos, game, accepted).
+ *
+ * Flow: CombatSystem.handleDeath -> handlePlayerDeath (penalties, death
+ * packet, removal for onlookers). The player stays in gameServer.players
+ * with isDead set until they ask to respawn and respawnDelay has passed,
+ * then they come back at the map's respawn point with full HP.
+ */
+export class DeathSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+  }
+
+  /**
+   * Called by CombatSystem once a player's HP reaches zero.
+   */
+  handlePlayerDeath(player, killer) {
+    const now = Date.now();
+    player.isDead = true;
+    player.hp = 0;
+    player.isMoving = false;
+    player.respawnAt = now + config.game.respawnDelay;
+    player.respawnRequested = false;
+    this.gameServer.movementSystem.removePlayer(player.id);
+    this.gameServer.itemEffectSystem.clearBuffs(player);
+
+    this.applyPenalties(player, killer);
+
+    const killerName = killer ? killer.name : 'something';
+    this.gameServer.network.sendToPlayer(player.id, {
+      type: 'death',
+      death: `You were killed by ${killerName}.`,
+      angel_dust: 0,
+    });
+
+    // Onlookers: remove the body and announce the kill
+    this.gameServer.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      { type: 'remove', id: player.id },
+      player.id
+    );
+    this.gameServer.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      { type: 'message', text: `${player.name} was killed by ${killerName}.` },
+      player.id
+    );
+
+    logger.info(`Player died: ${player.name} (${player.id}) killed by ${killerName}`);
+  }
+
+  /**
+   * Apply configured death penalties (exp loss, dropped inventory).
+   * Dropped items are kill loot, reserved for a player killer for a while.
+   */
+  applyPenalties(player, killer) {
+    if (config.game.deathExpLoss > 0 && player.exp > 0) {
+      player.exp -= Math.floor(player.exp * config.game.deathExpLoss);
+      this.gameServer.saveCharacter(player, { exp: player.exp });
+    }
+
+    if (config.game.deathDropsItems) {
+      const items = this.gameServer.inventorySystem.takeAll(player);
+      const looter = killer instanceof Player ? killer : null;
+      this.gameServer.groundItemSystem.dropLoot(player.mapId, player.x, player.y, items, looter);
+      this.gameServer.inventorySystem.sendInventory(player);
+    }
+  }
+
+  /**
+   * Client asked to respawn. Honoured now or once respawnDelay has passed.
+   */
+  requestRespawn(player) {
+    player.respawnRequested = true;
+    if (Date.now() >= player.respawnAt) {
+      this.respawnPlayer(player);
+    }
+  }
+
+  /**
+   * Called each tick to respawn players whose delay has expired.
+   */
+  update(deltaTime, tickCount) {
+    const now = Date.now();
+    for (const player of this.gameServer.players.values()) {
+      if (player.isDead && player.respawnRequested && now >= player.respawnAt) {
+        this.respawnPlayer(player);
+      }
+    }
+  }
+
+  respawnPlayer(player) {
+    const map = this.gameServer.mapLoader.getMap(player.mapId);
+
+    player.isDead = false;
+    player.hp = player.maxHp;
+    player.respawnAt = 0;
+    player.respawnRequested = false;
+    player.dir = 2;
+    player.lastMoveTime = 0;
+    this.gameServer.survivalSystem.resetPlayer(player);
+    this.gameServer.findSpawnPosition(player, map);
+
+    this.gameServer.sendSpawnSequence(player);
+    this.gameServer.network.sendToPlayer(player.id, {
+      type: 'hpp',
+      id: player.id,
+      n: player.hp,
+      o: player.maxHp,
+    });
+    this.gameServer.network.sendToPlayer(player.id, player.toStatusPacket());
+
+    // Show the player again to everyone nearby
+    this.gameServer.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      player.toTemplatePacket(),
+      player.id
+    );
+    this.gameServer.broadcastPlayerUpdate(player);
+
+    logger.info(`Player respawned: ${player.name} (${player.id}) at (${player.x}, ${player.y})`);
+  }
+}
@@ -0,0 +1,220 @@
+import { logger } from '../../utils/logger.js';
+
+// How far (in tiles, including diagonals) a player may be from the NPC they talk to.
+const TALK_RANGE = 2;
+
+/**
+ * Dialogue conditions, keyed by "if" name. A choice is only offered when
+ * all of its conditions hold:
+ *
+ *   level { min }               character level at least min
+ *   item  { item, quantity? }   carries at least quantity (default 1)
+ *   skill { id, level }         skill at least level
+ *   quest { id, state }         quest state: none | active | ready | completed
+ *
+ * Any condition with "not": true is inverted (e.g. does not carry an item).
+ */
+const CONDITIONS = {
+  level: (system, player, condition) => player.level >= condition.min,
+  item: (system, player, condition) =>
+    system.gameServer.inventorySystem.countItem(player, condition.item) >= (condition.quantity ?? 1),
+  skill: (system, player, condition) => (player.skills[condition.id] || 0) >= condition.level,
+  quest: (system, player, condition) =>
+    system.gameServer.questSystem.getState(player, condition.id) === condition.state,
+};
+
+/**
+ * Dialogue actions, keyed by "do" name, run in order when a choice is
+ * picked (or a node with "actions" is reached):
+ *
+ *   give     { item, quantity? }    hand over items; what does not fit is dropped
+ *   take     { item, quantity? }    remove items (guard with an item condition)
+ *   quest    { id, state }          start (active) or turn in (completed) a quest
+ *   heal     { amount? }            restore HP (default: to full)
+ *   teleport { x, y, mapId? }       move the player
+ *   shop     { id }                 open a shop (see ShopSystem)
+ */
+const ACTIONS = {
+  give: (system, player, action) => {
+    const inventory = system.gameServer.inventorySystem;
+    const quantity = action.quantity ?? 1;
+    const leftover = inventory.addItem(player, action.item, quantity);
+    if (leftover > 0) {
+      system.gameServer.groundItemSystem.dropItem(
+        player.mapId, player.x, player.y, { templateId: action.item, quantity: leftover }
+      );
+    }
+    inventory.sendInventory(player);
+  },
+  take: (system, player, action) => {
+    const inventory = system.gameServer.inventorySystem;
+    if (inventory.removeItem(player, action.item, action.quantity ?? 1)) {
+      inventory.sendInventory(player);
+    }
+  },
+  quest: (system, player, action) => {
+    const quests = system.gameServer.questSystem;
+    if (action.state === 'completed') {
+      return quests.turnIn(player, action.id);
+    }
+    return quests.accept(player, action.id);
+  },
+  heal: (system, player, action) => {
+    system.gameServer.itemEffectSystem.heal(player, action.amount ?? player.maxHp);
+  },
+  teleport: (system, player, action) => {
+    system.gameServer.teleportPlayer(player, action.mapId || player.mapId, action.x, action.y);
+  },
+  shop: (system, player, action, npc) => {
+    system.gameServer.shopSystem.open(player, npc, action.id);
+  },
+};
+
+/**
+ * Dialogue System.
+ * Players talk to NPCs by facing them and pressing "a". An NPC's dialogue
+ * (npcs.json) is a list of nodes; the first one opens the conversation:
+ *
+ *   { id: "start", text: "Hello!", actions: [...],
+ *     choices: [{ text: "Any work?", next: "work",
+ *                 conditions: [{ if: "level", min: 2 }],
+ *                 actions: [{ do: "give", item: "apple" }] }] }
+ *
+ * A choice without "next" ends the conversation. A node without choices
+ * ends it after its text is shown. An action returns false when it could
+ * not be carried out (e.g. a quest turn-in without the items); the
+ * conversation then stays where it is, after the action has said why.
+ *
+ * The conversation in progress is player.dialogue = { npcId, nodeId,
+ * choices } where choices are the ones offered, in the order shown.
+ *
+ * From client analysis:
+ *   - {type:"message", id, text} shows a chat bubble over entity id and
+ *     prints "Name: text" in the chat log.
+ *   - The client has no dialogue window; choices are listed as numbered
+ *     chat lines and the player answers by typing the number in chat
+ *     (see ChatSystem). {type:"c", r:"dl", n} (1-based) does the same for
+ *     clients that send it.
+ */
+export class DialogueSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+  }
+
+  /**
+   * Find a live NPC standing on a tile.
+   */
+  findNpcAt(x, y, mapId) {
+    for (const npc of this.gameServer.npcs.values()) {
+      if (npc.mapId === mapId && npc.x === x && npc.y === y) return npc;
+    }
+    return null;
+  }
+
+  /**
+   * Open a conversation with an NPC.
+   * Client sends: {type:"a"} while facing the NPC
+   */
+  startDialogue(player, npc) {
+    const start = npc.dialogue[0];
+    if (!start) {
+      this.gameServer.sendMessage(player, `${npc.name} has nothing to say.`);
+      return;
+    }
+
+    logger.debug(`Player ${player.name} talks to ${npc.name}`);
+    this.gameServer.questSystem.onTalk(player, npc);
+    this.enterNode(player, npc, start);
+  }
+
+  /**
+   * Pick one of the offered choices.
+   * Client sends: {type:"chat", data:"n"} or {type:"c", r:"dl", n}
+   */
+  handleChoice(player, number) {
+    const state = player.dialogue;
+    if (!state) return;
+
+    const npc = this.gameServer.npcs.get(state.npcId);
+    if (!npc || !this.isInRange(player, npc)) {
+      player.dialogue = null;
+      this.gameServer.sendMessage(player, 'You are too far away.');
+      return;
+    }
+
+    const choice = state.choices[number - 1];
+    if (!choice) return;
+
+    // Conditions may have changed since the choice was offered
+    if (!this.checkConditions(player, choice.conditions)) {
+      this.gameServer.sendMessage(player, 'You cannot choose that now.');
+      return;
+    }
+
+    if (!this.runActions(player, npc, choice.actions)) return;
+
+    const next = choice.next ? npc.dialogue.find(node => node.id === choice.next) : null;
+    if (next) {
+      this.enterNode(player, npc, next);
+    } else {
+      player.dialogue = null;
+    }
+  }
+
+  /**
+   * Show a node and record the choices offered.
+   */
+  enterNode(player, npc, node) {
+    this.runActions(player, npc, node.actions);
+
+    this.gameServer.network.sendToPlayer(player.id, {
+      type: 'message',
+      id: npc.id,
+      text: node.text,
+    });
+
+    const choices = (node.choices || []).filter(choice => this.checkConditions(player, choice.conditions));
+    if (choices.length === 0) {
+      player.dialogue = null;
+      return;
+    }
+
+    player.dialogue = { npcId: npc.id, nodeId: node.id, choices };
+    choices.forEach((choice, index) => {
+      this.gameServer.sendMessage(player, `${index + 1}. ${choice.text}`);
+    });
+    this.gameServer.sendMessage(player, 'Type the number of your answer.');
+  }
+
+  checkConditions(player, conditions = []) {
+    return conditions.every(condition => {
+      const check = CONDITIONS[condition.if];
+      if (!check) {
+        logger.warn(`Unknown dialogue condition ${condition.if}`);
+        return false;
+      }
+      return check(this, player, condition) !== Boolean(condition.not);
+    });
+  }
+
+  /**
+   * Run actions in order, stopping at the first that fails.
+   * Returns whether all of them succeeded.
+   */
+  runActions(player, npc, actions = []) {
+    for (const action of actions) {
+      const run = ACTIONS[action.do];
+      if (!run) {
+        logger.warn(`Unknown dialogue action ${action.do}`);
+        continue;
+      }
+      if (run(this, player, action, npc) === false) return false;
+    }
+    return true;
+  }
+
+  isInRange(player, npc) {
+    return player.mapId === npc.mapId &&
+      Math.max(Math.abs(player.x - npc.x), Math.abs(player.y - npc.y)) <= TALK_RANGE;
+  }
+}
@@ -0,0 +1,164 @@
+import { logger } from '../../utils/logger.js';
+
+export const EQUIPMENT_SLOTS = ['weapon', 'armor', 'helmet', 'accessory'];
+
+// Player fields an item's "stats" block may modify.
+const BONUS_STATS = ['attack', 'defense', 'speed', 'accuracy', 'evasion', 'critChance'];
+
+// Player fields an item's "appearance" block may override in plr_tpl.
+const APPEARANCE_FIELDS = ['body', 'hair', 'clothes', 'clothesColor', 'hairColor', 'eyeColor'];
+
+// Slots that lose durability when their wearer is hit.
+const DEFENSIVE_SLOTS = ['armor', 'helmet'];
+
+/**
+ * Equipment System.
+ * Equipped items stay in their inventory slot (shown with eqp:1) and are
+ * referenced from player.equipment[slot]. Equipment templates in items.json
+ * carry:
+ *
+ *   { "slot": "weapon", "stats": { attack: 3 }, "appearance": { clothes: 2 } }
+ *
+ * Stat bonuses are applied to the player as a delta against the previous
+ * bonus total, so level-up gains and other changes to the base stats are
+ * preserved. Weapons wear down by one durability per hit dealt, armor and
+ * helmets per hit taken; items at 0 durability break and are removed.
+ *
+ * From client analysis:
+ *   - {type:"u", slot} on an equipment item toggles it
+ *   - inv entries with eqp:1 are drawn with an "E" marker
+ */
+export class EquipmentSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+  }
+
+  /**
+   * Equip the item in an inventory slot, or unequip it if already worn.
+   */
+  toggleEquip(player, slot) {
+    const inventory = this.gameServer.inventorySystem.getInventory(player.id);
+    const item = inventory ? inventory[slot] : null;
+    if (!item) return;
+
+    const template = this.gameServer.itemRegistry.get(item.templateId);
+    if (!template || !EQUIPMENT_SLOTS.includes(template.slot)) {
+      this.gameServer.sendMessage(player, 'You cannot equip that.');
+      return;
+    }
+
+    if (player.equipment[template.slot] === item) {
+      player.equipment[template.slot] = null;
+      this.gameServer.sendMessage(player, `You unequip the ${template.name}.`);
+    } else {
+      player.equipment[template.slot] = item;
+      this.gameServer.sendMessage(player, `You equip the ${template.name}.`);
+    }
+
+    logger.debug(`Player ${player.name} equipment changed: ${template.slot}`);
+    this.refresh(player);
+    this.gameServer.inventorySystem.sendInventory(player);
+  }
+
+  isEquipped(player, item) {
+    return EQUIPMENT_SLOTS.some(slot => player.equipment[slot] === item);
+  }
+
+  /**
+   * Forget an item that left the inventory (dropped, consumed, traded).
+   * Returns true if it was equipped.
+   */
+  onItemRemoved(player, item) {
+    let changed = false;
+    for (const slot of EQUIPMENT_SLOTS) {
+      if (player.equipment[slot] === item) {
+        player.equipment[slot] = null;
+        changed = true;
+      }
+    }
+    if (changed) this.refresh(player);
+    return changed;
+  }
+
+  /**
+   * Recompute stat bonuses and appearance from the equipped items.
+   */
+  refresh(player) {
+    const bonus = {};
+    const appearance = {};
+    for (const slot of EQUIPMENT_SLOTS) {
+      const item = player.equipment[slot];
+      if (!item) continue;
+      const template = this.gameServer.itemRegistry.get(item.templateId);
+      if (!template) continue;
+
+      for (const stat of BONUS_STATS) {
+        const value = template.stats?.[stat];
+        if (value) bonus[stat] = (bonus[stat] || 0) + value;
+      }
+      for (const field of APPEARANCE_FIELDS) {
+        if (template.appearance?.[field] !== undefined) {
+          appearance[field] = template.appearance[field];
+        }
+      }
+    }
+
+    // Swap the old bonus for the new one
+    for (const stat of BONUS_STATS) {
+      player[stat] += (bonus[stat] || 0) - (player.equipmentBonus[stat] || 0);
+    }
+    player.equipmentBonus = bonus;
+    player.updateCurSpeed(player.tileSpeedMod);
+
+    const appearanceChanged = APPEARANCE_FIELDS.some(
+      field => player.equipmentAppearance[field] !== appearance[field]
+    );
+    player.equipmentAppearance = appearance;
+
+    if (appearanceChanged) {
+      this.gameServer.network.broadcastToNearby(
+        player.x, player.y, player.mapId,
+        player.toTemplatePacket(),
+        null
+      );
+    }
+    this.gameServer.broadcastPlayerUpdate(player);
+  }
+
+  /**
+   * Wear the weapon after a hit dealt.
+   */
+  onAttackHit(player) {
+    this.wear(player, 'weapon');
+  }
+
+  /**
+   * Wear defensive gear after a hit taken.
+   */
+  onDamageTaken(player) {
+    for (const slot of DEFENSIVE_SLOTS) {
+      this.wear(player, slot);
+    }
+  }
+
+  /**
+   * Reduce an equipped item's durability, breaking it at 0.
+   * Items with durability -1 are unbreakable.
+   */
+  wear(player, slot, amount = 1) {
+    const item = player.equipment[slot];
+    if (!item || item.durability < 0) return;
+
+    item.durability = Math.max(0, item.durability - amount);
+    if (item.durability > 0) return;
+
+    const template = this.gameServer.itemRegistry.get(item.templateId);
+    const inventory = this.gameServer.inventorySystem.getInventory(player.id);
+    const index = inventory ? inventory.indexOf(item) : -1;
+    if (index !== -1) inventory[index] = null;
+    this.onItemRemoved(player, item);
+
+    this.gameServer.sendMessage(player, `Your ${template ? template.name : 'item'} broke!`);
+    this.gameServer.inventorySystem.sendInventory(player);
+  }
+}
@@ -0,0 +1,197 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getKey } from '../../utils/math.js';
+import { logger } from '../../utils/logger.js';
+import config from '../../core/config.js';
+
+// How often ground items are checked for despawn (ms).
+const DESPAWN_CHECK_INTERVAL = 1000;
+
+/**
+ * Ground Item System.
+ * Items dropped from inventories or as loot lie on the map until someone
+ * picks them up or they despawn after groundItemDespawn ms.
+ *
+ * Each ground stack is an item instance plus placement data:
+ *   { id, templateId, quantity, durability, mapId, x, y,
+ *     ownerId, protectedUntil, despawnAt }
+ *
+ * The item's template ID is also added to GameMap.objects, so it is part
+ * of the map data the client renders. Kill loot can be reserved for the
+ * killer (ownerId) for lootProtection ms.
+ *
+ * From client analysis:
+ *   - {type:"o", x, y, d:"tpl1|tpl2"} replaces every object on a tile.
+ *     Each template must have been sent as obj_tpl first.
+ *   - {type:"g"} (Shift, /pickup) picks up whatever is at the player's feet.
+ */
+export class GroundItemSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.items = new Map();  // groundItemId -> ground item
+    this.tiles = new Map();  // "mapId:key" -> ground item[]
+    this.elapsed = 0;
+  }
+
+  tileKey(mapId, x, y) {
+    return `${mapId}:${getKey(x, y)}`;
+  }
+
+  getItemsAt(mapId, x, y) {
+    return this.tiles.get(this.tileKey(mapId, x, y)) || [];
+  }
+
+  /**
+   * Place an item instance on the ground.
+   * Unowned stacks of the same item on the tile are merged up to max stack.
+   * Options: ownerId and protectFor (ms) reserve the item for one player.
+   */
+  dropItem(mapId, x, y, item, { ownerId = null, protectFor = 0 } = {}) {
+    const map = this.gameServer.mapLoader.getMap(mapId);
+    if (!map || !item || item.quantity <= 0) return;
+
+    const now = Date.now();
+    const maxStack = this.gameServer.itemRegistry.getMaxStack(item.templateId);
+    let remaining = item.quantity;
+
+    if (!ownerId && maxStack > 1) {
+      for (const existing of this.getItemsAt(mapId, x, y)) {
+        if (remaining <= 0) break;
+        if (existing.templateId !== item.templateId || existing.ownerId) continue;
+        const added = Math.min(remaining, maxStack - existing.quantity);
+        if (added <= 0) continue;
+        existing.quantity += added;
+        existing.despawnAt = now + config.game.groundItemDespawn;
+        remaining -= added;
+      }
+    }
+
+    while (remaining > 0) {
+      const quantity = Math.min(remaining, maxStack);
+      const groundItem = {
+        id: uuidv4(),
+        templateId: item.templateId,
+        quantity,
+        durability: item.durability,
+        mapId,
+        x,
+        y,
+        ownerId,
+        protectedUntil: ownerId ? now + protectFor : 0,
+        despawnAt: now + config.game.groundItemDespawn,
+      };
+      this.addGroundItem(map, groundItem);
+      remaining -= quantity;
+    }
+
+    this.gameServer.broadcastTileObjects(mapId, x, y);
+  }
+
+  /**
+   * Drop several item instances as kill loot, reserved for the killer.
+   */
+  dropLoot(mapId, x, y, items, killer) {
+    const options = killer
+      ? { ownerId: killer.id, protectFor: config.game.lootProtection }
+      : {};
+    for (const item of items) {
+      this.dropItem(mapId, x, y, item, options);
+    }
+  }
+
+  addGroundItem(map, groundItem) {
+    const key = this.tileKey(groundItem.mapId, groundItem.x, groundItem.y);
+    if (!this.tiles.has(key)) {
+      this.tiles.set(key, []);
+    }
+    this.tiles.get(key).push(groundItem);
+    this.items.set(groundItem.id, groundItem);
+    map.addObject(groundItem.x, groundItem.y, groundItem.templateId);
+  }
+
+  removeGroundItem(groundItem) {
+    const key = this.tileKey(groundItem.mapId, groundItem.x, groundItem.y);
+    const stacks = this.tiles.get(key);
+    if (stacks) {
+      const index = stacks.indexOf(groundItem);
+      if (index !== -1) stacks.splice(index, 1);
+      if (stacks.length === 0) this.tiles.delete(key);
+    }
+    this.items.delete(groundItem.id);
+
+    const map = this.gameServer.mapLoader.getMap(groundItem.mapId);
+    if (map) map.removeObject(groundItem.x, groundItem.y, groundItem.templateId);
+  }
+
+  /**
+   * Pick up everything at the player's feet that fits in their inventory.
+   * Client sends: {type:"g"}
+   */
+  handlePickup(player) {
+    const stacks = this.getItemsAt(player.mapId, player.x, player.y);
+    if (stacks.length === 0) return;
+
+    const now = Date.now();
+    const inventory = this.gameServer.inventorySystem;
+    let pickedUp = false;
+    let blocked = null;
+
+    // Newest (topmost) stack first
+    for (const groundItem of [...stacks].reverse()) {
+      if (groundItem.ownerId && groundItem.ownerId !== player.id &&
+          now < groundItem.protectedUntil) {
+        blocked = blocked || 'That belongs to someone else.';
+        continue;
+      }
+
+      const leftover = inventory.addItem(
+        player, groundItem.templateId, groundItem.quantity, groundItem
+      );
+      const taken = groundItem.quantity - leftover;
+      if (taken <= 0) {
+        blocked = 'Your inventory is full.';
+        continue;
+      }
+
+      pickedUp = true;
+      logger.debug(`Player ${player.name} picks up ${taken}x ${groundItem.templateId}`);
+      if (this.gameServer.itemRegistry.get(groundItem.templateId).type === 'currency') {
+        this.gameServer.sendMessage(player, `You pick up ${taken} gold. You have ${player.gold} gold.`);
+      }
+      if (leftover > 0) {
+        groundItem.quantity = leftover;
+      } else {
+        this.removeGroundItem(groundItem);
+      }
+    }
+
+    if (pickedUp) {
+      inventory.sendInventory(player);
+      this.gameServer.broadcastTileObjects(player.mapId, player.x, player.y);
+    }
+    if (blocked) {
+      this.gameServer.sendMessage(player, blocked);
+    }
+  }
+
+  /**
+   * Called each tick; despawns expired items every DESPAWN_CHECK_INTERVAL ms.
+   */
+  update(deltaTime, tickCount) {
+    this.elapsed += deltaTime;
+    if (this.elapsed < DESPAWN_CHECK_INTERVAL) return;
+    this.elapsed = 0;
+
+    const now = Date.now();
+    const changedTiles = new Map();
+    for (const groundItem of this.items.values()) {
+      if (now < groundItem.despawnAt) continue;
+      this.removeGroundItem(groundItem);
+      const { mapId, x, y } = groundItem;
+      changedTiles.set(this.tileKey(mapId, x, y), { mapId, x, y });
+    }
+
+    for (const { mapId, x, y } of changedTiles.values()) {
+      this.gameServer.broadcastTileObjects(mapId, x, y);
+    }
+  }
+}
@@ -0,0 +1,192 @@
+import { getKey } from '../../utils/math.js';
+import { logger } from '../../utils/logger.js';
+
+// How often depleted nodes are checked for regrowth (ms).
+const REGROW_CHECK_INTERVAL = 1000;
+
+// Delay before retrying a regrow blocked by an entity on the tile (ms).
+const REGROW_RETRY_DELAY = 5000;
+
+// Tool type used when no tool is equipped.
+const BARE_HANDS = 'hand';
+
+/**
+ * Harvest System.
+ * Resource nodes (trees, rocks, bushes) are map objects whose templates
+ * carry a "harvest" block in objects.json:
+ *
+ *   { "tree": { ..., "harvest": {
+ *       hp: 4,                                  hits until depleted
+ *       yields: { axe: { <loot table> } },      per tool type, rolled each hit
+ *       depleted: "tree_stump",                 object swapped in at 0 HP
+ *       regrow: 120000                          ms until the node is back
+ *   } } }
+ *
+ * The tool type comes from the equipped weapon's "tool" field ("hand" when
+ * nothing is equipped); a yields entry for "any" accepts every tool.
+ * Damage to nodes is tracked per tile and forgotten once they deplete.
+ *
+ * From client analysis:
+ *   - {type:"a"} with no entity on the facing tile hits the object there.
+ *   - Node swaps are plain {type:"o"} tile updates.
+ */
+export class HarvestSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.damaged = new Map();    // "mapId:key" -> { templateId, hp }
+    this.regrowing = new Map();  // "mapId:key" -> { mapId, x, y, templateId, depletedId, regrowAt }
+    this.elapsed = 0;
+  }
+
+  tileKey(mapId, x, y) {
+    return `${mapId}:${getKey(x, y)}`;
+  }
+
+  /**
+   * Find the harvestable node template on a tile, if any.
+   */
+  findNode(map, x, y) {
+    const objects = this.gameServer.objectRegistry;
+    for (const templateId of [...map.getObjects(x, y)].reverse()) {
+      const template = objects.get(templateId);
+      if (template && template.harvest) return template;
+    }
+    return null;
+  }
+
+  /**
+   * Get the tool type the player is harvesting with.
+   */
+  getToolType(player) {
+    const weapon = player.equipment.weapon;
+    const template = weapon ? this.gameServer.itemRegistry.get(weapon.templateId) : null;
+    return (template && template.tool) || BARE_HANDS;
+  }
+
+  /**
+   * Hit the resource node on a tile.
+   * Returns false if there is no node there.
+   */
+  handleHarvest(player, x, y) {
+    const map = this.gameServer.mapLoader.getMap(player.mapId);
+    if (!map) return false;
+
+    const node = this.findNode(map, x, y);
+    if (!node) return false;
+
+    const { harvest } = node;
+    const toolType = this.getToolType(player);
+    const table = harvest.yields[toolType] || harvest.yields.any;
+    if (!table) {
+      const required = Object.keys(harvest.yields)[0];
+      const article = /^[aeiou]/.test(required) ? 'an' : 'a';
+      this.gameServer.sendMessage(player, `You need ${article} ${required} to harvest the ${node.name}.`);
+      return true;
+    }
+
+    player.lastAttackTime = Date.now();
+    if (toolType !== BARE_HANDS) {
+      this.gameServer.equipmentSystem.wear(player, 'weapon');
+    }
+
+    this.giveYield(player, this.gameServer.lootRegistry.rollTable(table));
+
+    const key = this.tileKey(player.mapId, x, y);
+    let state = this.damaged.get(key);
+    if (!state || state.templateId !== node.id) {
+      state = { templateId: node.id, hp: harvest.hp ?? 1 };
+      this.damaged.set(key, state);
+    }
+    state.hp--;
+    if (state.hp <= 0) {
+      this.damaged.delete(key);
+      this.deplete(map, x, y, node);
+    }
+    return true;
+  }
+
+  /**
+   * Add harvested items to the inventory; what does not fit lands at the
+   * player's feet.
+   */
+  giveYield(player, drops) {
+    if (drops.length === 0) return;
+
+    const inventory = this.gameServer.inventorySystem;
+    const names = [];
+    for (const { templateId, quantity } of drops) {
+      const leftover = inventory.addItem(player, templateId, quantity);
+      if (leftover > 0) {
+        this.gameServer.groundItemSystem.dropItem(
+          player.mapId, player.x, player.y, { templateId, quantity: leftover }
+        );
+      }
+      const template = this.gameServer.itemRegistry.get(templateId);
+      names.push(`${quantity}x ${template ? template.name : templateId}`);
+    }
+    inventory.sendInventory(player);
+    this.gameServer.sendMessage(player, `You gather ${names.join(', ')}.`);
+  }
+
+  /**
+   * Swap a node for its depleted variant and schedule the regrowth.
+   */
+  deplete(map, x, y, node) {
+    const { depleted, regrow } = node.harvest;
+    map.removeObject(x, y, node.id);
+    if (depleted) map.addObject(x, y, depleted);
+    this.gameServer.broadcastTileObjects(map.id, x, y);
+
+    this.regrowing.set(this.tileKey(map.id, x, y), {
+      mapId: map.id,
+      x,
+      y,
+      templateId: node.id,
+      depletedId: depleted || null,
+      regrowAt: Date.now() + (regrow ?? 0),
+    });
+    logger.debug(`Node ${node.id} depleted at ${map.id} (${x}, ${y})`);
+  }
+
+  /**
+   * Put a depleted node back. Returns false if it has to wait because
+   * something stands on a tile the node would block.
+   */
+  regrow(entry) {
+    const map = this.gameServer.mapLoader.getMap(entry.mapId);
+    if (!map) return true;
+
+    if (this.gameServer.objectRegistry.isBlocking(entry.templateId) &&
+        this.gameServer.movementSystem.isTileOccupiedByEntity(entry.x, entry.y, entry.mapId, null)) {
+      return false;
+    }
+
+    if (entry.depletedId && !map.removeObject(entry.x, entry.y, entry.depletedId)) {
+      // The depleted object was removed some other way; leave the tile be.
+      return true;
+    }
+
+    map.addObject(entry.x, entry.y, entry.templateId);
+    this.gameServer.broadcastTileObjects(entry.mapId, entry.x, entry.y);
+    return true;
+  }
+
+  /**
+   * Called each tick; regrows nodes every REGROW_CHECK_INTERVAL ms.
+   */
+  update(deltaTime, tickCount) {
+    this.elapsed += deltaTime;
+    if (this.elapsed < REGROW_CHECK_INTERVAL) return;
+    this.elapsed = 0;
+
+    const now = Date.now();
+    for (const [key, entry] of this.regrowing) {
+      if (now < entry.regrowAt) continue;
+      if (this.regrow(entry)) {
+        this.regrowing.delete(key);
+      } else {
+        entry.regrowAt = now + REGROW_RETRY_DELAY;
+      }
+    }
+  }
+}
@@ -0,0 +1,150 @@
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Interaction handlers, keyed by the "interact" name used in objects.json:
+ *
+ *   door   { toggle, locked? }   swap to the open/closed template; locked
+ *                                doors only move through triggers
+ *   chest  { container }         open a container (see ContainerSystem)
+ *   sign   { text? }             show text (tile "text" overrides it)
+ *   lever  { toggle }            flip and fire the tile's "trigger"
+ *
+ * Each handler receives the tile's object template and its per-tile
+ * properties from maps.json (may be null).
+ */
+const INTERACTIONS = {
+  door: (system, player, map, x, y, template) => {
+    if (template.locked) {
+      system.gameServer.sendMessage(player, `The ${template.name} will not budge.`);
+      return;
+    }
+    system.toggle(player, map, x, y, template);
+  },
+  chest: (system, player, map, x, y, template) => {
+    system.gameServer.containerSystem.open(player, map, x, y, template);
+  },
+  sign: (system, player, map, x, y, template, properties) => {
+    const text = (properties && properties.text) || template.text || template.desc;
+    system.gameServer.sendMessage(player, `The sign reads: "${text}"`);
+  },
+  lever: (system, player, map, x, y, template, properties) => {
+    if (!system.toggle(player, map, x, y, template)) return;
+    if (properties && properties.trigger) {
+      system.fireTrigger(player, map, properties.trigger);
+    }
+  },
+};
+
+/**
+ * Trigger actions, listed per trigger ID in the map's "triggers":
+ *
+ *   toggle   { x, y }              toggle the object on a tile (e.g. a gate)
+ *   message  { text }              tell the player who fired the trigger
+ *   teleport { x, y, mapId? }      move the player who fired the trigger
+ */
+const TRIGGER_ACTIONS = {
+  toggle: (system, player, map, action) => {
+    const template = system.findToggleable(map, action.x, action.y);
+    if (template) system.toggle(null, map, action.x, action.y, template);
+  },
+  message: (system, player, map, action) => {
+    system.gameServer.sendMessage(player, action.text);
+  },
+  teleport: (system, player, map, action) => {
+    system.gameServer.teleportPlayer(player, action.mapId || map.id, action.x, action.y);
+  },
+};
+
+/**
+ * Interaction System.
+ * Dispatches {type:"a"} on a tile without an entity to the topmost object
+ * there with an "interact" handler. Tiles without one fall through to
+ * harvesting (see HarvestSystem).
+ *
+ * Toggling swaps an object for its "toggle" counterpart with
+ * GameMap.replaceObject, so blocking follows the new template and a
+ * player-built door stays persisted in its new state.
+ */
+export class InteractionSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+  }
+
+  /**
+   * Interact with the objects on a tile.
+   * Client sends: {type:"a"} (when no entity is faced)
+   */
+  handleInteract(player, x, y) {
+    const map = this.gameServer.mapLoader.getMap(player.mapId);
+    if (!map) return;
+
+    const objects = this.gameServer.objectRegistry;
+    for (const templateId of [...map.getObjects(x, y)].reverse()) {
+      const template = objects.get(templateId);
+      const handler = template && INTERACTIONS[template.interact];
+      if (!handler) continue;
+
+      player.lastAttackTime = Date.now();
+      handler(this, player, map, x, y, template, map.getObjectProperties(x, y));
+      return;
+    }
+
+    this.gameServer.harvestSystem.handleHarvest(player, x, y);
+  }
+
+  /**
+   * Find the topmost object on a tile that can be toggled.
+   */
+  findToggleable(map, x, y) {
+    const objects = this.gameServer.objectRegistry;
+    for (const templateId of [...map.getObjects(x, y)].reverse()) {
+      const template = objects.get(templateId);
+      if (template && template.toggle) return template;
+    }
+    return null;
+  }
+
+  /**
+   * Swap an object for its toggle counterpart and update nearby clients.
+   * A swap that would block a tile someone stands on is refused.
+   * Returns true if the object changed.
+   */
+  toggle(player, map, x, y, template) {
+    const next = this.gameServer.objectRegistry.get(template.toggle);
+    if (!next) return false;
+
+    if (next.block && this.gameServer.movementSystem.isTileOccupiedByEntity(x, y, map.id, null)) {
+      if (player) this.gameServer.sendMessage(player, 'Something is in the way.');
+      return false;
+    }
+
+    if (!map.replaceObject(x, y, template.id, next.id)) return false;
+    this.gameServer.broadcastTileObjects(map.id, x, y);
+
+    if (map.getPlacedObjects(x, y).includes(next.id)) {
+      this.gameServer.buildingSystem.persistState(map, x, y);
+    }
+    return true;
+  }
+
+  /**
+   * Run a map trigger's actions.
+   */
+  fireTrigger(player, map, triggerId) {
+    const actions = map.triggers[triggerId];
+    if (!Array.isArray(actions)) {
+      logger.warn(`Unknown trigger ${triggerId} on map ${map.id}`);
+      return;
+    }
+
+    logger.debug(`Player ${player.name} fired trigger ${triggerId}`);
+    for (const action of actions) {
+      const run = TRIGGER_ACTIONS[action.action];
+      if (run) {
+        run(this, player, map, action);
+      } else {
+        logger.warn(`Unknown trigger action ${action.action} in ${triggerId}`);
+      }
+    }
+  }
+}
@@ -1,68 +1,443 @@
 import { logger } from '../../utils/logger.js';
 
+// Matches client item_length (inventory slots shown).
+export const INVENTORY_SIZE = 15;
+
 /**
- * Inventory System (placeholder for extensibility).
- * Handles item usage, dropping, swapping, and pickup.
+ * Inventory System.
+ * Handles item usage, dropping and swapping. Pickup lives in GroundItemSystem.
+ *
+ * Each player has INVENTORY_SIZE slots holding null or an item instance
+ * { templateId, quantity, durability } (see ItemRegistry). Stacks of the
+ * same template merge up to the template's max stack size.
+ *
+ * The mutating helpers (addItem, removeItem, takeFromSlot) do not sync the
+ * client, so callers can batch changes and then call sendInventory() once.
+ * sendInventory() also saves the slots that changed to the 'inventory'
+ * collection, so every change that reaches the client is persisted.
+ *
+ * Currency items (gold) never take a slot: adding them credits the
+ * player's gold balance, which is saved to the character.
+ *
+ * From client analysis:
+ *   - {type:"inv", data:[{slot, n, t, spr, qty, eqp, col}]} replaces the
+ *     whole inventory; only occupied slots are listed. eqp:1 marks gear
+ *     that is equipped (see EquipmentSystem). An open container, shop or
+ *     trade is listed after the inventory (see ContainerSystem, ShopSystem,
+ *     TradeSystem).
  */
 export class InventorySystem {
   constructor(gameServer) {
     this.gameServer = gameServer;
     this.playerInventories = new Map(); // playerId -> items[]
+    this.savedSlots = new Map();        // playerId -> slot keys as last saved
   }
 
   initPlayer(playerId) {
-    this.playerInventories.set(playerId, new Array(15).fill(null));
+    this.playerInventories.set(playerId, new Array(INVENTORY_SIZE).fill(null));
+  }
+
+  getInventory(playerId) {
+    return this.playerInventories.get(playerId) || null;
+  }
+
+  /**
+   * Fill a joining player's slots from their saved inventory documents.
+   */
+  loadItems(player, documents) {
+    const inventory = this.playerInventories.get(player.id);
+    if (!inventory) return;
+
+    for (const { slot, templateId, quantity, durability } of documents) {
+      if (!Number.isInteger(slot) || slot < 0 || slot >= INVENTORY_SIZE) continue;
+      if (!this.gameServer.itemRegistry.has(templateId) || !(quantity > 0)) {
+        logger.warn(`Skipping saved item ${templateId} in slot ${slot} of ${player.name}`);
+        continue;
+      }
+      inventory[slot] = { templateId, quantity, durability: durability ?? -1 };
+    }
+    this.savedSlots.set(player.id, inventory.map(item => this.getSlotKey(item)));
+  }
+
+  getSlotKey(item) {
+    return item ? `${item.templateId}:${item.quantity}:${item.durability}` : '';
+  }
+
+  /**
+   * Write the slots that changed since the last save, in the background.
+   */
+  saveInventory(player) {
+    const inventory = this.playerInventories.get(player.id);
+    if (!inventory || !player.characterId) return;
+
+    const saved = this.savedSlots.get(player.id) || new Array(INVENTORY_SIZE).fill('');
+    const mongo = this.gameServer.mongo;
+    inventory.forEach((item, slot) => {
+      const key = this.getSlotKey(item);
+      if (key === saved[slot]) return;
+      saved[slot] = key;
+
+      const write = item
+        ? mongo.saveInventorySlot(player.characterId, slot, {
+          templateId: item.templateId, quantity: item.quantity, durability: item.durability,
+        })
+        : mongo.clearInventorySlot(player.characterId, slot);
+      write.catch(err => {
+        logger.error(`Failed to save inventory slot ${slot} of ${player.name}: ${err.message}`);
+      });
+    });
+    this.savedSlots.set(player.id, saved);
+  }
+
+  /**
+   * The system showing its slots on the last inventory page: an open
+   * trade, then an open shop, otherwise containers.
+   */
+  getPageSystem(player) {
+    if (player.trade) return this.gameServer.tradeSystem;
+    return player.openShop ? this.gameServer.shopSystem : this.gameServer.containerSystem;
   }
 
   handleUseItem(player, packet) {
     const { slot } = packet;
+    if (this.gameServer.containerSystem.isContainerSlot(slot)) {
+      this.getPageSystem(player).takeItem(player, slot);
+      return;
+    }
+
     const inventory = this.playerInventories.get(player.id);
     if (!inventory || slot < 0 || slot >= inventory.length) return;
 
     const item = inventory[slot];
     if (!item) return;
 
-    logger.debug(`Player ${player.name} uses item in slot ${slot}`);
+    const template = this.gameServer.itemRegistry.get(item.templateId);
+    if (template && template.type === 'equipment') {
+      this.gameServer.equipmentSystem.toggleEquip(player, slot);
+    } else {
+      this.gameServer.itemEffectSystem.useItem(player, slot);
+    }
   }
 
+  /**
+   * Drop all or part of a stack onto the player's tile.
+   * Client sends: {type:"d", slot, amt?} where amt is a string ("1", "10",
+   * "all" or whatever followed "/drop"); anything but a positive whole
+   * number drops the whole stack.
+   */
   handleDropItem(player, packet) {
     const { slot, amt } = packet;
     const inventory = this.playerInventories.get(player.id);
     if (!inventory || slot < 0 || slot >= inventory.length) return;
+    if (!inventory[slot]) return;
+
+    const parsed = Number.parseInt(amt, 10);
+    const amount = parsed > 0 ? parsed : inventory[slot].quantity;
+    const dropped = this.takeFromSlot(player, slot, amount);
+    if (!dropped) return;
 
-    logger.debug(`Player ${player.name} drops item from slot ${slot}`);
+    logger.debug(
+      `Player ${player.name} drops ${dropped.quantity}x ${dropped.templateId} from slot ${slot}`
+    );
+    this.gameServer.groundItemSystem.dropItem(player.mapId, player.x, player.y, dropped);
+    this.sendInventory(player);
   }
 
+  /**
+   * Swap two slots, or merge them when they hold the same stackable item.
+   * Moves involving the last page go to the open container, shop or trade.
+   * Client sends: {type:"sw", slot, swap}
+   */
   handleSwapItems(player, packet) {
     const { slot, swap } = packet;
+    const containers = this.gameServer.containerSystem;
+    if (containers.isContainerSlot(slot) || containers.isContainerSlot(swap)) {
+      this.getPageSystem(player).handleSwap(player, slot, swap);
+      return;
+    }
+
     const inventory = this.playerInventories.get(player.id);
     if (!inventory) return;
     if (slot < 0 || slot >= inventory.length) return;
     if (swap < 0 || swap >= inventory.length) return;
+    if (slot === swap) return;
+
+    const from = inventory[slot];
+    const to = inventory[swap];
+    const maxStack = from ? this.gameServer.itemRegistry.getMaxStack(from.templateId) : 1;
 
-    const temp = inventory[slot];
-    inventory[slot] = inventory[swap];
-    inventory[swap] = temp;
+    if (from && to && from.templateId === to.templateId && maxStack > 1 && to.quantity < maxStack) {
+      // Merge as much as fits into the destination stack
+      const moved = Math.min(from.quantity, maxStack - to.quantity);
+      to.quantity += moved;
+      from.quantity -= moved;
+      if (from.quantity <= 0) inventory[slot] = null;
+    } else {
+      inventory[slot] = to;
+      inventory[swap] = from;
+    }
 
     // Send updated inventory to client
     this.sendInventory(player);
   }
 
-  handlePickup(player) {
-    logger.debug(`Player ${player.name} picks up item at (${player.x}, ${player.y})`);
+  /**
+   * How many of an item a player's inventory can still take.
+   */
+  getAddableQuantity(player, templateId) {
+    const inventory = this.playerInventories.get(player.id);
+    if (!inventory || !this.gameServer.itemRegistry.has(templateId)) return 0;
+
+    const maxStack = this.gameServer.itemRegistry.getMaxStack(templateId);
+    let space = 0;
+    for (const item of inventory) {
+      if (!item) {
+        space += maxStack;
+      } else if (item.templateId === templateId && maxStack > 1) {
+        space += Math.max(0, maxStack - item.quantity);
+      }
+    }
+    return space;
+  }
+
+  canAddItem(player, templateId, quantity) {
+    return this.getAddableQuantity(player, templateId) >= quantity;
+  }
+
+  /**
+   * Check whether removing one set of items and then adding another would
+   * succeed, without touching the inventory. Both are { templateId: qty }.
+   * Used to make multi-item exchanges (crafting, trades) all-or-nothing.
+   */
+  canExchange(player, remove, add) {
+    const inventory = this.playerInventories.get(player.id);
+    if (!inventory) return false;
+    const registry = this.gameServer.itemRegistry;
+
+    // Simulate on a copy of the slots
+    const slots = inventory.map(item => (item ? { ...item } : null));
+
+    for (const [templateId, quantity] of Object.entries(remove)) {
+      let remaining = quantity;
+      for (let slot = slots.length - 1; slot >= 0 && remaining > 0; slot--) {
+        const item = slots[slot];
+        if (!item || item.templateId !== templateId) continue;
+        const taken = Math.min(remaining, item.quantity);
+        item.quantity -= taken;
+        remaining -= taken;
+        if (item.quantity <= 0) slots[slot] = null;
+      }
+      if (remaining > 0) return false;
+    }
+
+    for (const [templateId, quantity] of Object.entries(add)) {
+      if (!registry.has(templateId)) return false;
+      const maxStack = registry.getMaxStack(templateId);
+      let remaining = quantity;
+      for (let slot = 0; slot < slots.length && remaining > 0; slot++) {
+        const item = slots[slot];
+        if (!item) {
+          const added = Math.min(remaining, maxStack);
+          slots[slot] = { templateId, quantity: added };
+          remaining -= added;
+        } else if (item.templateId === templateId && maxStack > 1 && item.quantity < maxStack) {
+          const added = Math.min(remaining, maxStack - item.quantity);
+          item.quantity += added;
+          remaining -= added;
+        }
+      }
+      if (remaining > 0) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Add items, topping up existing stacks before using empty slots.
+   * An existing instance (e.g. a worn tool) can be passed to keep its durability.
+   * Returns the quantity that did not fit.
+   */
+  addItem(player, templateId, quantity, instance = null) {
+    const inventory = this.playerInventories.get(player.id);
+    const registry = this.gameServer.itemRegistry;
+    if (!inventory || !registry.has(templateId) || quantity <= 0) return quantity;
+
+    if (registry.get(templateId).type === 'currency') {
+      this.addGold(player, quantity);
+      return 0;
+    }
+
+    const maxStack = registry.getMaxStack(templateId);
+    let remaining = quantity;
+
+    if (maxStack > 1) {
+      for (const item of inventory) {
+        if (remaining <= 0) break;
+        if (!item || item.templateId !== templateId || item.quantity >= maxStack) continue;
+        const added = Math.min(remaining, maxStack - item.quantity);
+        item.quantity += added;
+        remaining -= added;
+      }
+    }
+
+    for (let slot = 0; slot < inventory.length && remaining > 0; slot++) {
+      if (inventory[slot]) continue;
+      const added = Math.min(remaining, maxStack);
+      inventory[slot] = registry.createItem(templateId, added);
+      if (instance) inventory[slot].durability = instance.durability;
+      remaining -= added;
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Credit gold to a player's balance and save it.
+   * Saves are increments, never the in-memory balance, so a stale
+   * session cannot overwrite gold spent or earned elsewhere.
+   */
+  addGold(player, amount) {
+    if (amount <= 0) return;
+    player.gold += amount;
+    this.gameServer.incrementCharacter(player, { gold: amount });
+  }
+
+  /**
+   * Debit gold from a player's balance and save it.
+   * All-or-nothing: returns false if the player cannot afford it.
+   */
+  removeGold(player, amount) {
+    if (amount < 0 || player.gold < amount) return false;
+    if (amount === 0) return true;
+    player.gold -= amount;
+    this.gameServer.incrementCharacter(player, { gold: -amount });
+    return true;
+  }
+
+  /**
+   * Total quantity of a template across all slots.
+   */
+  countItem(player, templateId) {
+    const inventory = this.playerInventories.get(player.id);
+    if (!inventory) return 0;
+    let total = 0;
+    for (const item of inventory) {
+      if (item && item.templateId === templateId) total += item.quantity;
+    }
+    return total;
+  }
+
+  /**
+   * Remove a quantity of a template from wherever it is stacked.
+   * All-or-nothing: returns false and changes nothing if there is not enough.
+   */
+  removeItem(player, templateId, quantity) {
+    return this.takeItems(player, templateId, quantity) !== null;
+  }
+
+  /**
+   * Like removeItem, but returns the removed item instances (keeping their
+   * durability), or null if there is not enough.
+   */
+  takeItems(player, templateId, quantity) {
+    const inventory = this.playerInventories.get(player.id);
+    if (!inventory || this.countItem(player, templateId) < quantity) return null;
+
+    const taken = [];
+    let remaining = quantity;
+    for (let slot = inventory.length - 1; slot >= 0 && remaining > 0; slot--) {
+      const item = inventory[slot];
+      if (!item || item.templateId !== templateId) continue;
+      const part = this.takeFromSlot(player, slot, remaining);
+      taken.push(part);
+      remaining -= part.quantity;
+    }
+    return taken;
+  }
+
+  /**
+   * Split up to `amount` off a slot. Returns the taken item instance or null.
+   */
+  takeFromSlot(player, slot, amount) {
+    const inventory = this.playerInventories.get(player.id);
+    if (!inventory || slot < 0 || slot >= inventory.length) return null;
+
+    const item = inventory[slot];
+    if (!item || amount <= 0) return null;
+
+    const taken = Math.min(amount, item.quantity);
+    item.quantity -= taken;
+    if (item.quantity <= 0) this.clearSlot(player, slot);
+    return { ...item, quantity: taken };
+  }
+
+  /**
+   * Empty a slot, unequipping whatever was in it.
+   */
+  clearSlot(player, slot) {
+    const inventory = this.playerInventories.get(player.id);
+    const item = inventory[slot];
+    inventory[slot] = null;
+    if (item) this.gameServer.equipmentSystem.onItemRemoved(player, item);
+  }
+
+  /**
+   * Empty every slot and return the removed item instances.
+   * Does not sync the client.
+   */
+  takeAll(player) {
+    const inventory = this.playerInventories.get(player.id);
+    if (!inventory) return [];
+    const items = inventory.filter(Boolean);
+    inventory.forEach((item, slot) => this.clearSlot(player, slot));
+    return items;
+  }
+
+  /**
+   * Empty every slot and sync the client.
+   */
+  clearInventory(player) {
+    const inventory = this.playerInventories.get(player.id);
+    if (!inventory) return;
+    inventory.forEach((item, slot) => this.clearSlot(player, slot));
+    this.sendInventory(player);
+  }
+
+  /**
+   * Serialize one slot for the inv packet.
+   */
+  toSlotPacket(player, item, slot) {
+    const template = this.gameServer.itemRegistry.get(item.templateId);
+    return {
+      slot,
+      n: template ? template.name : item.templateId,
+      t: item.templateId,
+      spr: template ? template.sprite : 0,
+      qty: item.quantity,
+      eqp: this.gameServer.equipmentSystem.isEquipped(player, item) ? 1 : 0,
+    };
   }
 
   sendInventory(player) {
     const inventory = this.playerInventories.get(player.id);
     if (!inventory) return;
 
+    const data = [];
+    inventory.forEach((item, slot) => {
+      if (item) data.push(this.toSlotPacket(player, item, slot));
+    });
+    data.push(...this.getPageSystem(player).toSlotPackets(player));
+
     this.gameServer.network.sendToPlayer(player.id, {
       type: 'inv',
-      data: inventory,
+      data,
     });
+    this.saveInventory(player);
+    this.gameServer.questSystem.onInventoryChanged(player);
   }
 
   removePlayer(playerId) {
     this.playerInventories.delete(playerId);
+    this.savedSlots.delete(playerId);
   }
 }
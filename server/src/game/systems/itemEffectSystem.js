@@ -0,0 +1,240 @@
+import { logger } from '../../utils/logger.js';
+
+// How often timed buffs are checked for expiry (ms).
+const BUFF_CHECK_INTERVAL = 1000;
+
+// Stats a buff may modify.
+const BUFF_STATS = ['attack', 'defense', 'speed', 'accuracy', 'evasion', 'critChance'];
+
+/**
+ * Effect handlers, keyed by the "effect" name used in items.json:
+ *
+ *   heal     { amount }                       restore HP
+ *   hunger   { amount }                       restore the hunger meter
+ *   thirst   { amount }                       restore the thirst meter
+ *   buff     { id, stat, amount, duration, icon?, text? }
+ *   bind     {}                               set the recall point here
+ *   teleport { to: "bind" }                   go to the recall point
+ *   learn    { skill }                        learn a skill at level 1
+ *
+ * canApply (optional) is checked for every effect before any is applied.
+ * It returns an error message, or null when the effect may proceed.
+ * Effects that cannot take place are skipped; the item is only refused
+ * (and not consumed) when none of them can, e.g. cooked meat still feeds
+ * a player at full health.
+ */
+const EFFECTS = {
+  heal: {
+    canApply: (system, player) => (player.hp >= player.maxHp ? 'You are already at full health.' : null),
+    apply: (system, player, effect) => system.heal(player, effect.amount),
+  },
+  hunger: {
+    canApply: (system, player) => (player.hunger >= 100 ? 'You are not hungry.' : null),
+    apply: (system, player, effect) =>
+      system.gameServer.survivalSystem.restore(player, { hunger: effect.amount }),
+  },
+  thirst: {
+    canApply: (system, player) => (player.thirst >= 100 ? 'You are not thirsty.' : null),
+    apply: (system, player, effect) =>
+      system.gameServer.survivalSystem.restore(player, { thirst: effect.amount }),
+  },
+  buff: {
+    canApply: (system, player, effect) => (BUFF_STATS.includes(effect.stat) ? null : 'Nothing happens.'),
+    apply: (system, player, effect) => system.addBuff(player, effect),
+  },
+  bind: {
+    apply: (system, player) => {
+      player.bindPoint = { mapId: player.mapId, x: player.x, y: player.y };
+      system.gameServer.sendMessage(player, 'Your recall point is set here.');
+    },
+  },
+  teleport: {
+    canApply: (system, player) => {
+      // No reading your way out of a fight (see CombatSystem combat flag)
+      if (system.gameServer.combatSystem.isCombatFlagged(player, Date.now())) {
+        return 'You cannot recall while in combat.';
+      }
+      return system.getRecallPoint(player) ? null : 'You have nowhere to recall to.';
+    },
+    apply: (system, player) => {
+      const point = system.getRecallPoint(player);
+      system.gameServer.teleportPlayer(player, point.mapId, point.x, point.y);
+    },
+  },
+  learn: {
+    canApply: (system, player, effect) => (player.skills[effect.skill] ? 'You already know that.' : null),
+    apply: (system, player, effect) => {
+      player.skills[effect.skill] = 1;
+      system.gameServer.sendMessage(player, `You learned ${effect.skill}!`);
+    },
+  },
+};
+
+/**
+ * Item Effect System.
+ * Runs the "use" effects of consumable items (client {type:"u", slot}).
+ *
+ * Item templates list their effects, so new consumables need no code:
+ *
+ *   "health_potion": { "use": [{ "effect": "heal", "amount": 50 }],
+ *                      "cooldown": 10000, "cooldownGroup": "potion" }
+ *
+ * Items sharing a cooldownGroup share one cooldown (default group is the
+ * template ID). A successful use consumes one item from the slot.
+ *
+ * From client analysis:
+ *   - {type:"s", b:[{t, s}]} lists active buffs (t = tooltip text,
+ *     s = buff icon index). Omitting b clears the buff bar.
+ */
+export class ItemEffectSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.elapsed = 0;
+  }
+
+  /**
+   * Use the consumable in an inventory slot.
+   */
+  useItem(player, slot) {
+    const inventory = this.gameServer.inventorySystem.getInventory(player.id);
+    const item = inventory ? inventory[slot] : null;
+    if (!item) return;
+
+    const template = this.gameServer.itemRegistry.get(item.templateId);
+    const effects = template && Array.isArray(template.use) ? template.use : [];
+    if (effects.length === 0) {
+      this.gameServer.sendMessage(player, 'You cannot use that.');
+      return;
+    }
+
+    const now = Date.now();
+    const group = template.cooldownGroup || template.id;
+    const readyAt = player.itemCooldowns[group] || 0;
+    if (now < readyAt) {
+      const seconds = Math.ceil((readyAt - now) / 1000);
+      this.gameServer.sendMessage(player, `You must wait ${seconds}s before using that again.`);
+      return;
+    }
+
+    const applicable = [];
+    let firstError = null;
+    for (const effect of effects) {
+      const handler = EFFECTS[effect.effect];
+      if (!handler) {
+        logger.warn(`Item ${template.id} has unknown effect '${effect.effect}'`);
+        return;
+      }
+      const error = handler.canApply ? handler.canApply(this, player, effect) : null;
+      if (error) {
+        firstError = firstError || error;
+      } else {
+        applicable.push(effect);
+      }
+    }
+    if (applicable.length === 0) {
+      this.gameServer.sendMessage(player, firstError);
+      return;
+    }
+
+    // Consume first: a teleport may move the player before we are done
+    this.gameServer.inventorySystem.takeFromSlot(player, slot, 1);
+    if (template.cooldown) {
+      player.itemCooldowns[group] = now + template.cooldown;
+    }
+    for (const effect of applicable) {
+      EFFECTS[effect.effect].apply(this, player, effect);
+    }
+
+    logger.debug(`Player ${player.name} used ${template.id}`);
+    this.gameServer.inventorySystem.sendInventory(player);
+  }
+
+  heal(player, amount) {
+    player.hp = Math.min(player.maxHp, player.hp + amount);
+    this.gameServer.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      { type: 'hpp', id: player.id, n: player.hp, o: player.maxHp },
+      null
+    );
+    this.gameServer.network.sendToPlayer(player.id, player.toStatusPacket());
+  }
+
+  /**
+   * Recall destination: the bound point, else the map's respawn point.
+   */
+  getRecallPoint(player) {
+    if (player.bindPoint) return player.bindPoint;
+    const map = this.gameServer.mapLoader.getMap(player.mapId);
+    if (map && map.respawnPoint) {
+      return { mapId: player.mapId, ...map.respawnPoint };
+    }
+    return null;
+  }
+
+  /**
+   * Apply a timed stat buff. Re-applying a buff with the same id
+   * refreshes its duration instead of stacking.
+   */
+  addBuff(player, effect) {
+    const id = effect.id || `${effect.stat}:${effect.amount}`;
+    const existing = player.buffs.find(buff => buff.id === id);
+    if (existing) {
+      existing.expiresAt = Date.now() + effect.duration;
+    } else {
+      player.buffs.push({
+        id,
+        stat: effect.stat,
+        amount: effect.amount,
+        expiresAt: Date.now() + effect.duration,
+        icon: effect.icon || 0,
+        text: effect.text || `${effect.stat} ${effect.amount > 0 ? '+' : ''}${effect.amount}`,
+      });
+      this.applyStat(player, effect.stat, effect.amount);
+    }
+    this.gameServer.network.sendToPlayer(player.id, player.toStatusPacket());
+  }
+
+  removeBuff(player, buff) {
+    const index = player.buffs.indexOf(buff);
+    if (index === -1) return;
+    player.buffs.splice(index, 1);
+    this.applyStat(player, buff.stat, -buff.amount);
+  }
+
+  /**
+   * Drop every buff (e.g. on death).
+   */
+  clearBuffs(player) {
+    for (const buff of [...player.buffs]) {
+      this.removeBuff(player, buff);
+    }
+  }
+
+  applyStat(player, stat, amount) {
+    player[stat] += amount;
+    if (stat === 'speed') {
+      player.updateCurSpeed(player.tileSpeedMod);
+      this.gameServer.broadcastPlayerUpdate(player);
+    }
+  }
+
+  /**
+   * Called each tick; expires buffs every BUFF_CHECK_INTERVAL ms.
+   */
+  update(deltaTime, tickCount) {
+    this.elapsed += deltaTime;
+    if (this.elapsed < BUFF_CHECK_INTERVAL) return;
+    this.elapsed = 0;
+
+    const now = Date.now();
+    for (const player of this.gameServer.players.values()) {
+      const expired = player.buffs.filter(buff => now >= buff.expiresAt);
+      if (expired.length === 0) continue;
+
+      for (const buff of expired) {
+        this.removeBuff(player, buff);
+      }
+      this.gameServer.network.sendToPlayer(player.id, player.toStatusPacket());
+    }
+  }
+}
@@ -0,0 +1,309 @@
+import { DIRECTION_VECTORS, getDirection, manhattanDistance } from '../../utils/math.js';
+import { getTileSpeedModifier } from '../world/tileCollision.js';
+import { logger } from '../../utils/logger.js';
+
+// How long a mob stands still between wander steps (ms).
+const IDLE_MIN_TIME = 2000;
+const IDLE_MAX_TIME = 6000;
+
+// Chance that an idle mob takes a wander step when its idle timer expires.
+const WANDER_CHANCE = 0.5;
+
+// A* node budget per mob step. Chases are bounded by leashRange, so keep it small.
+const MOB_PATH_BUDGET = 400;
+
+/**
+ * Mob AI System
+ *
+ * Drives every live mob through a small state machine (Mob.aiState):
+ *
+ *   idle    - Stand still, scan for players within aggroRange.
+ *   wander  - Take a single random step, staying within wanderRadius of home.
+ *   aggro   - Chase aggroTarget one tile per curSpeed ms.
+ *   attack  - Target is adjacent: face it and hit every attackSpeed ms.
+ *   return  - Leashed: walk back home, ignoring players, then heal up.
+ *
+ * Mobs move with the same rules players do: GameMap.isWalkable and
+ * MovementSystem.isTileOccupiedByEntity, and chase or walk home along
+ * routes from the shared Pathfinder. Each step is broadcast as a
+ * {type:"move"} packet, facing changes as a {type:"p"} update.
+ */
+export class MobAISystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+  }
+
+  /**
+   * Called each tick to advance every mob's state machine.
+   */
+  update(deltaTime, tickCount) {
+    const now = Date.now();
+
+    for (const mob of this.gameServer.mobs.values()) {
+      if (mob.isDead) continue;
+
+      // Finish the current step before making another decision
+      if (mob.isMoving) {
+        if (now - mob.moveStartTime < mob.curSpeed) continue;
+        mob.isMoving = false;
+      }
+
+      switch (mob.aiState) {
+        case 'wander':
+          this.updateWander(mob, now);
+          break;
+        case 'aggro':
+          this.updateAggro(mob, now);
+          break;
+        case 'attack':
+          this.updateAttack(mob, now);
+          break;
+        case 'return':
+          this.updateReturn(mob, now);
+          break;
+        case 'idle':
+        default:
+          this.updateIdle(mob, now);
+          break;
+      }
+    }
+  }
+
+  updateIdle(mob, now) {
+    const target = this.findAggroTarget(mob);
+    if (target) {
+      this.setAggro(mob, target);
+      return;
+    }
+
+    if (now < mob.nextAiTime) return;
+    mob.nextAiTime = now + IDLE_MIN_TIME + Math.random() * (IDLE_MAX_TIME - IDLE_MIN_TIME);
+
+    if (mob.wanderRadius > 0 && Math.random() < WANDER_CHANCE) {
+      mob.aiState = 'wander';
+    }
+  }
+
+  updateWander(mob, now) {
+    mob.aiState = 'idle';
+
+    // Pick a random direction that keeps the mob inside its wander radius
+    const start = Math.floor(Math.random() * 4);
+    for (let i = 0; i < 4; i++) {
+      const dir = (start + i) % 4;
+      const vec = DIRECTION_VECTORS[dir];
+      const nx = mob.x + vec.dx;
+      const ny = mob.y + vec.dy;
+      if (manhattanDistance(nx, ny, mob.homeX, mob.homeY) > mob.wanderRadius) continue;
+      if (this.tryStep(mob, dir, now)) return;
+    }
+  }
+
+  updateAggro(mob, now) {
+    const target = this.getValidTarget(mob);
+    if (!target || this.isLeashed(mob)) {
+      this.setReturn(mob);
+      return;
+    }
+
+    if (manhattanDistance(mob.x, mob.y, target.x, target.y) === 1) {
+      mob.aiState = 'attack';
+      this.updateAttack(mob, now);
+      return;
+    }
+
+    this.stepToward(mob, target.x, target.y, now, true);
+  }
+
+  updateAttack(mob, now) {
+    const target = this.getValidTarget(mob);
+    if (!target) {
+      this.setReturn(mob);
+      return;
+    }
+
+    if (manhattanDistance(mob.x, mob.y, target.x, target.y) !== 1) {
+      mob.aiState = 'aggro';
+      return;
+    }
+
+    this.face(mob, target.x, target.y);
+    this.gameServer.combatSystem.handleMobAttack(mob, target);
+  }
+
+  updateReturn(mob, now) {
+    if (mob.x === mob.homeX && mob.y === mob.homeY) {
+      this.resetAtHome(mob);
+      return;
+    }
+
+    if (!this.stepToward(mob, mob.homeX, mob.homeY, now, false)) {
+      // Boxed in on the way home - give up and settle where we are
+      this.resetAtHome(mob);
+    }
+  }
+
+  /**
+   * Called by CombatSystem when a player damages a mob.
+   * Mobs that are not walking home retaliate, aggressive or not.
+   */
+  onMobDamaged(mob, attacker) {
+    if (mob.isDead || mob.aiState === 'return') return;
+    if (mob.aiState === 'aggro' || mob.aiState === 'attack') return;
+    this.setAggro(mob, attacker);
+  }
+
+  /**
+   * Find the closest player within aggroRange of an aggressive mob.
+   */
+  findAggroTarget(mob) {
+    if (!mob.isAggressive) return null;
+
+    let closest = null;
+    let closestDist = Infinity;
+    for (const player of this.gameServer.players.values()) {
+      if (player.mapId !== mob.mapId || player.isDead) continue;
+      const dist = manhattanDistance(mob.x, mob.y, player.x, player.y);
+      if (dist <= mob.aggroRange && dist < closestDist) {
+        closest = player;
+        closestDist = dist;
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Resolve aggroTarget to a live player on the same map, or null.
+   */
+  getValidTarget(mob) {
+    const target = this.gameServer.getPlayer(mob.aggroTarget);
+    if (!target || target.isDead || target.mapId !== mob.mapId) return null;
+    return target;
+  }
+
+  isLeashed(mob) {
+    return manhattanDistance(mob.x, mob.y, mob.homeX, mob.homeY) > mob.leashRange;
+  }
+
+  setAggro(mob, target) {
+    mob.aiState = 'aggro';
+    mob.aggroTarget = target.id;
+    logger.debug(`Mob ${mob.name} (${mob.id}) aggro on ${target.name}`);
+  }
+
+  setReturn(mob) {
+    mob.aiState = 'return';
+    mob.aggroTarget = null;
+  }
+
+  resetAtHome(mob) {
+    mob.aiState = 'idle';
+    mob.aggroTarget = null;
+    mob.nextAiTime = Date.now() + IDLE_MIN_TIME;
+
+    if (mob.hp < mob.maxHp) {
+      mob.hp = mob.maxHp;
+      this.gameServer.network.broadcastToNearby(
+        mob.x, mob.y, mob.mapId,
+        { type: 'hpp', id: mob.id, n: mob.hp, o: mob.maxHp },
+        null
+      );
+    }
+  }
+
+  /**
+   * Step one tile along an A* route to (tx, ty), avoiding other entities.
+   * With adjacent=true the route ends next to the goal (e.g. a player).
+   * Falls back to a greedy step when no route fits the node budget.
+   * Returns true if the mob moved.
+   */
+  stepToward(mob, tx, ty, now, adjacent) {
+    const map = this.gameServer.mapLoader.getMap(mob.mapId);
+    if (!map) return false;
+
+    const movementSystem = this.gameServer.movementSystem;
+    const path = this.gameServer.pathfinder.findPath(map, mob.x, mob.y, tx, ty, {
+      adjacent,
+      maxNodes: MOB_PATH_BUDGET,
+      isBlocked: (x, y) => movementSystem.isTileOccupiedByEntity(x, y, mob.mapId, mob.id),
+    });
+    if (path && path.length > 0) {
+      return this.tryStep(mob, path[0], now);
+    }
+
+    return this.stepGreedy(mob, tx, ty, now);
+  }
+
+  /**
+   * Step one tile toward (tx, ty), trying the longer axis first.
+   */
+  stepGreedy(mob, tx, ty, now) {
+    const dx = tx - mob.x;
+    const dy = ty - mob.y;
+    const horizontal = dx > 0 ? 1 : 3;
+    const vertical = dy > 0 ? 2 : 0;
+
+    const dirs = [];
+    if (Math.abs(dx) >= Math.abs(dy)) {
+      if (dx !== 0) dirs.push(horizontal);
+      if (dy !== 0) dirs.push(vertical);
+    } else {
+      if (dy !== 0) dirs.push(vertical);
+      if (dx !== 0) dirs.push(horizontal);
+    }
+
+    for (const dir of dirs) {
+      if (this.tryStep(mob, dir, now)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Move a mob one tile in a direction if the destination is free.
+   * Uses the same walkability and entity collision rules as players.
+   */
+  tryStep(mob, dir, now) {
+    const map = this.gameServer.mapLoader.getMap(mob.mapId);
+    if (!map) return false;
+
+    const vec = DIRECTION_VECTORS[dir];
+    const targetX = mob.x + vec.dx;
+    const targetY = mob.y + vec.dy;
+
+    if (!map.isWalkable(targetX, targetY)) return false;
+    if (this.gameServer.movementSystem.isTileOccupiedByEntity(targetX, targetY, mob.mapId, mob.id)) {
+      return false;
+    }
+
+    mob.dir = dir;
+    mob.x = targetX;
+    mob.y = targetY;
+    mob.isMoving = true;
+    mob.moveStartTime = now;
+    mob.curSpeed = Math.max(100, mob.speed + getTileSpeedModifier(
+      map.getTile(targetX, targetY),
+      map.tileSpeed
+    ));
+
+    this.gameServer.network.broadcastToNearby(
+      mob.x, mob.y, mob.mapId,
+      mob.toMovePacket(),
+      null
+    );
+    return true;
+  }
+
+  /**
+   * Turn a mob toward an adjacent tile, broadcasting only on change.
+   */
+  face(mob, tx, ty) {
+    const dir = getDirection(mob.x, mob.y, tx, ty);
+    if (dir === -1 || mob.dir === dir) return;
+    mob.dir = dir;
+    this.gameServer.network.broadcastToNearby(
+      mob.x, mob.y, mob.mapId,
+      mob.toUpdatePacket(),
+      null
+    );
+  }
+}
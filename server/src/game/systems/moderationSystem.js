@@ -0,0 +1,201 @@
+import config from '../../core/config.js';
+import { RateLimiter } from '../../security/rateLimiter.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Moderation System.
+ * Every chat packet passes a rate limit; every message a player writes
+ * (channels and whispers) then passes, in order:
+ *
+ *   1. mute      - timed mutes given by moderators, kept on the account
+ *   2. repeats   - more than maxRepeats identical messages in a row within
+ *                  repeatWindow are dropped
+ *   3. filter    - listed words are masked with * or the message is
+ *                  blocked, depending on config.chat.filterMode
+ *
+ * Moderators (accounts with isModerator) use /mute and /unmute. Their
+ * actions are written to the 'moderationLog' collection; automatic
+ * blocks are only logged to the server log.
+ *
+ * Mutes are kept on the account, so offline players are named by their
+ * exact (case-sensitive) username. Players without an account, such as
+ * guests, can only be muted while online and the mute ends when they
+ * log out.
+ */
+export class ModerationSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.rateLimiter = new RateLimiter(config.chat.rateLimit, config.chat.rateWindow);
+    this.lastMessages = new Map(); // playerId -> { text, count, time }
+    this.filter = this.buildFilter(config.chat.filterWords);
+
+    gameServer.chatSystem.registerCommand('mute', {
+      usage: '/mute name minutes [reason]',
+      help: 'Moderators: mute a player',
+      run: (player, args) => this.mute(player, args[0], Number(args[1]), args.slice(2).join(' ')),
+    });
+
+    gameServer.chatSystem.registerCommand('unmute', {
+      usage: '/unmute name',
+      help: 'Moderators: lift a mute',
+      run: (player, args) => this.unmute(player, args[0]),
+    });
+  }
+
+  buildFilter(words) {
+    if (words.length === 0) return null;
+    const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi');
+  }
+
+  /**
+   * Count a chat packet against the player's rate limit.
+   */
+  checkRate(player) {
+    if (this.rateLimiter.check(player.id)) return true;
+    this.gameServer.sendMessage(player, 'You are sending messages too fast.');
+    return false;
+  }
+
+  /**
+   * Run a player's message through mute, repeat and word checks.
+   * Returns the text to send (possibly masked), or null if it is dropped.
+   */
+  filterMessage(player, text) {
+    const now = Date.now();
+
+    if (this.isMuted(player, now)) {
+      const minutes = Math.ceil((player.mutedUntil - now) / 60000);
+      this.gameServer.sendMessage(player, `You are muted for ${minutes} more minute${minutes === 1 ? '' : 's'}.`);
+      return null;
+    }
+
+    const key = text.toLowerCase();
+    const last = this.lastMessages.get(player.id);
+    if (last && last.text === key && now - last.time < config.chat.repeatWindow) {
+      last.count++;
+      last.time = now;
+      if (last.count > config.chat.maxRepeats) {
+        this.gameServer.sendMessage(player, 'Please do not repeat yourself.');
+        return null;
+      }
+    } else {
+      this.lastMessages.set(player.id, { text: key, count: 1, time: now });
+    }
+
+    if (this.filter && text.match(this.filter)) {
+      if (config.chat.filterMode === 'block') {
+        logger.info(`Chat filter blocked a message from ${player.name}`);
+        this.gameServer.sendMessage(player, 'Your message was blocked by the chat filter.');
+        return null;
+      }
+      return text.replace(this.filter, word => '*'.repeat(word.length));
+    }
+    return text;
+  }
+
+  /**
+   * Whether text contains a filtered word, for names other players see.
+   */
+  isFiltered(text) {
+    return Boolean(this.filter && text.match(this.filter));
+  }
+
+  isMuted(player, now = Date.now()) {
+    return player.mutedUntil > now;
+  }
+
+  /**
+   * Mute a player (online or not) for some minutes.
+   */
+  async mute(moderator, name, minutes, reason) {
+    if (!this.requireModerator(moderator)) return;
+    if (!name || !Number.isInteger(minutes) || minutes < 1 || minutes > config.chat.maxMuteMinutes) {
+      this.gameServer.sendMessage(
+        moderator, `Usage: /mute name minutes [reason], minutes from 1 to ${config.chat.maxMuteMinutes}`
+      );
+      return;
+    }
+
+    const until = new Date(Date.now() + minutes * 60000);
+    const target = this.gameServer.findPlayerByName(name);
+    const targetName = target ? target.name : name;
+    const saved = await this.saveMute(targetName, { mutedUntil: until, muteReason: reason });
+    if (!target && !saved) {
+      this.reportNotSaved(moderator, targetName, saved);
+      return;
+    }
+    if (target) {
+      target.mutedUntil = until.getTime();
+      this.gameServer.sendMessage(
+        target, `You have been muted for ${minutes} minute${minutes === 1 ? '' : 's'}${reason ? `: ${reason}` : '.'}`
+      );
+    }
+
+    this.logAction('mute', moderator, targetName, { until, reason });
+    this.gameServer.sendMessage(
+      moderator,
+      `${targetName} is muted until ${until.toISOString()}${saved ? '' : ' (no account: only until they log out)'}.`
+    );
+  }
+
+  async unmute(moderator, name) {
+    if (!this.requireModerator(moderator)) return;
+    if (!name) {
+      this.gameServer.sendMessage(moderator, 'Usage: /unmute name');
+      return;
+    }
+
+    const target = this.gameServer.findPlayerByName(name);
+    const targetName = target ? target.name : name;
+    const saved = await this.saveMute(targetName, { mutedUntil: null, muteReason: '' });
+    if (!target && !saved) {
+      this.reportNotSaved(moderator, targetName, saved);
+      return;
+    }
+    if (target) {
+      target.mutedUntil = 0;
+      this.gameServer.sendMessage(target, 'You are no longer muted.');
+    }
+
+    this.logAction('unmute', moderator, targetName, {});
+    this.gameServer.sendMessage(moderator, `${targetName} is no longer muted.`);
+  }
+
+  requireModerator(player) {
+    if (player.isModerator) return true;
+    this.gameServer.sendMessage(player, 'Only moderators can do that.');
+    return false;
+  }
+
+  /**
+   * Store a mute on the account.
+   * Returns true if saved, false if there is no such account, null on error.
+   */
+  async saveMute(name, updates) {
+    try {
+      return await this.gameServer.authService.updateAccount(name, updates);
+    } catch (err) {
+      logger.error(`Failed to save mute for ${name}: ${err.message}`);
+      return null;
+    }
+  }
+
+  reportNotSaved(moderator, name, saved) {
+    this.gameServer.sendMessage(moderator, saved === null
+      ? `Could not save the change for ${name}, try again.`
+      : `There is no account named ${name} (names are case-sensitive).`);
+  }
+
+  logAction(action, moderator, target, { until = null, reason = '' }) {
+    logger.info(`Moderation: ${moderator.name} ${action}s ${target}${reason ? ` (${reason})` : ''}`);
+    this.gameServer.mongo.logModeration({ action, moderator: moderator.name, target, until, reason }).catch(err => {
+      logger.error(`Failed to log moderation action: ${err.message}`);
+    });
+  }
+
+  removePlayer(playerId) {
+    this.rateLimiter.remove(playerId);
+    this.lastMessages.delete(playerId);
+  }
+}
@@ -206,7 +206,7 @@ export class MovementSystem {
   isTileOccupiedByEntity(x, y, mapId, excludeId) {
     // Check players
     for (const player of this.gameServer.players.values()) {
-      if (player.id !== excludeId && player.mapId === mapId &&
+      if (player.id !== excludeId && player.mapId === mapId && !player.isDead &&
           player.x === x && player.y === y) {
         return true;
       }
@@ -214,12 +214,19 @@ export class MovementSystem {
 
     // Check mobs
     for (const mob of this.gameServer.mobs.values()) {
-      if (mob.id !== excludeId && mob.mapId === mapId &&
+      if (mob.id !== excludeId && mob.mapId === mapId && !mob.isDead &&
           mob.x === x && mob.y === y) {
         return true;
       }
     }
 
+    // Check NPCs
+    for (const npc of this.gameServer.npcs.values()) {
+      if (npc.id !== excludeId && npc.mapId === mapId && npc.x === x && npc.y === y) {
+        return true;
+      }
+    }
+
     return false;
   }
 
@@ -0,0 +1,124 @@
+import { getExpToLevel, MAX_LEVEL } from '../data/experience.js';
+import { logger } from '../../utils/logger.js';
+
+// Stats gained on every level up.
+const LEVEL_UP_GAINS = {
+  maxHp: 10,
+  attack: 1,
+  defense: 1,
+};
+
+/**
+ * Progression System
+ * Awards experience, levels players up and keeps the client's
+ * status bar and stat dialog in sync.
+ *
+ * From client analysis:
+ *   - {type:"s", h, e, ...} sets the Health/Experience bars (percent)
+ *   - {type:"stat", obj} fills the Character Stats dialog; obj keys are
+ *     the dialog's labels (level, hp, attack, defense, speed,
+ *     crit_chance, exp_to_level, ...) with display strings as values
+ *   - The client asks for stats with {type:"c", r:"st"}
+ *   - plr_tpl.l is the level shown above the player's head
+ */
+export class ProgressionSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+  }
+
+  /**
+   * Award exp to a player, applying any level ups.
+   * Source is a short label for logging ("kill", "quest", ...).
+   */
+  awardExp(player, amount, source = 'unknown') {
+    if (amount <= 0 || player.level >= MAX_LEVEL) return;
+
+    player.exp += Math.floor(amount);
+    logger.debug(`Player ${player.name} gained ${amount} exp (${source})`);
+
+    let levels = 0;
+    while (player.level < MAX_LEVEL && player.exp >= getExpToLevel(player.level)) {
+      player.exp -= getExpToLevel(player.level);
+      this.applyLevelUp(player);
+      levels++;
+    }
+    if (player.level >= MAX_LEVEL) player.exp = 0;
+    this.gameServer.saveCharacter(player, { level: player.level, exp: player.exp });
+
+    this.gameServer.network.sendToPlayer(player.id, player.toStatusPacket());
+
+    if (levels > 0) {
+      this.onLevelUp(player);
+    }
+  }
+
+  /**
+   * Award kill exp for a mob.
+   */
+  awardKillExp(player, mob) {
+    this.awardExp(player, mob.expReward, `kill:${mob.templateId}`);
+  }
+
+  /**
+   * Bring a joining player up to their saved level and exp.
+   */
+  restore(player, level, exp) {
+    while (player.level < Math.min(level, MAX_LEVEL)) {
+      this.applyLevelUp(player);
+    }
+    player.exp = player.level >= MAX_LEVEL ? 0 : Math.max(0, exp);
+    player.hp = player.maxHp;
+  }
+
+  applyLevelUp(player) {
+    player.level++;
+    player.maxHp += LEVEL_UP_GAINS.maxHp;
+    player.attack += LEVEL_UP_GAINS.attack;
+    player.defense += LEVEL_UP_GAINS.defense;
+  }
+
+  onLevelUp(player) {
+    // Level ups restore health
+    player.hp = player.maxHp;
+
+    logger.info(`Player ${player.name} reached level ${player.level}`);
+
+    // New level above the player's head for everyone nearby (and themselves)
+    this.gameServer.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      player.toTemplatePacket(),
+      null
+    );
+    this.gameServer.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      { type: 'hpp', id: player.id, n: player.hp, o: player.maxHp },
+      null
+    );
+    this.gameServer.network.sendToPlayer(player.id, player.toStatusPacket());
+    this.gameServer.sendMessage(player, `You reached level ${player.level}!`);
+    this.gameServer.playEffect('level', player.x, player.y, player.mapId);
+    this.sendStats(player);
+  }
+
+  /**
+   * Send the Character Stats dialog contents.
+   * Client requests with: {type:"c", r:"st"}
+   */
+  sendStats(player) {
+    const expToLevel = getExpToLevel(player.level);
+    this.gameServer.network.sendToPlayer(player.id, {
+      type: 'stat',
+      obj: {
+        level: String(player.level),
+        hp: `${player.hp}/${player.maxHp}`,
+        attack: String(player.attack),
+        defense: String(player.defense),
+        speed: String(player.curSpeed),
+        crit_chance: `${Math.round(player.critChance * 100)}%`,
+        exp_to_level: Number.isFinite(expToLevel)
+          ? String(expToLevel - player.exp)
+          : '-',
+      },
+    });
+  }
+}
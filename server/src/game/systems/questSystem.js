@@ -0,0 +1,279 @@
+import { logger } from '../../utils/logger.js';
+
+// Matches the client quest dialog, which has two task rows.
+const MAX_ACTIVE_QUESTS = 2;
+
+// How often reach objectives are checked against player positions (ms).
+const REACH_CHECK_INTERVAL = 500;
+
+/**
+ * Quest System.
+ * Tracks quest progress per character (see QuestRegistry):
+ *
+ *   player.quests = { questId: { state: 'active' | 'completed', progress } }
+ *
+ * where progress holds one count per objective. Kills, talks and reached
+ * tiles are counted as they happen; collect objectives follow the items
+ * carried and are only taken on turn-in. Changes are saved to the
+ * character and reported in chat.
+ *
+ * getState() adds two derived states for dialogue conditions: 'none' for
+ * quests never started and 'ready' for active quests whose objectives are
+ * all done.
+ *
+ * From client analysis:
+ *   - {type:"quest", obj:[{name, desc, prog}]} fills the quest dialog
+ *     (two rows, "name [prog]" over desc) and opens it.
+ *   - The stats dialog's Quests button sends {type:"c", r:"qs"}; "/quests"
+ *     in chat does the same.
+ *   - Since every quest packet opens the dialog, progress is pushed as
+ *     chat lines and the packet is only sent on request, accept and
+ *     turn-in.
+ */
+export class QuestSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.elapsed = 0;
+
+    gameServer.chatSystem.registerCommand('quests', {
+      help: 'Show your active quests',
+      run: (player) => this.sendQuests(player),
+    });
+  }
+
+  /**
+   * 'none' | 'active' | 'ready' | 'completed'
+   */
+  getState(player, questId) {
+    const entry = player.quests[questId];
+    if (!entry) return 'none';
+    if (entry.state === 'active' && this.isReady(player, questId)) return 'ready';
+    return entry.state;
+  }
+
+  isReady(player, questId) {
+    const quest = this.gameServer.questRegistry.get(questId);
+    const entry = player.quests[questId];
+    return Boolean(quest && entry) &&
+      quest.objectives.every((objective, index) => entry.progress[index] >= objective.count);
+  }
+
+  /**
+   * Start a quest if its prerequisites are met.
+   * Called from NPC dialogue: { do: "quest", id, state: "active" }
+   */
+  accept(player, questId) {
+    const quest = this.gameServer.questRegistry.get(questId);
+    if (!quest) {
+      logger.warn(`Unknown quest ${questId}`);
+      return false;
+    }
+
+    let error = null;
+    if (player.quests[questId]) {
+      error = `You have already taken on ${quest.name}.`;
+    } else if (player.level < quest.level) {
+      error = `You need level ${quest.level} for ${quest.name}.`;
+    } else if (quest.requires.some(id => this.getState(player, id) !== 'completed')) {
+      error = `You are not ready for ${quest.name} yet.`;
+    } else if (this.getActiveQuests(player).length >= MAX_ACTIVE_QUESTS) {
+      error = 'You cannot take on any more quests.';
+    }
+    if (error) {
+      this.gameServer.sendMessage(player, error);
+      return false;
+    }
+
+    player.quests[questId] = { state: 'active', progress: quest.objectives.map(() => 0) };
+    this.updateCollected(player, questId);
+
+    logger.debug(`Player ${player.name} starts quest ${questId}`);
+    this.gameServer.sendMessage(player, `Quest started: ${quest.name}`);
+    this.save(player);
+    this.sendQuests(player);
+    return true;
+  }
+
+  /**
+   * Hand in a finished quest: take collected items, grant rewards.
+   * Called from NPC dialogue: { do: "quest", id, state: "completed" }
+   */
+  turnIn(player, questId) {
+    const quest = this.gameServer.questRegistry.get(questId);
+    if (!quest || this.getState(player, questId) !== 'ready') return false;
+
+    const inventory = this.gameServer.inventorySystem;
+    const remove = {};
+    const add = {};
+    quest.objectives.forEach(objective => {
+      if (objective.type === 'collect') remove[objective.item] = (remove[objective.item] || 0) + objective.count;
+    });
+    quest.rewards.items.forEach(reward => {
+      add[reward.item] = (add[reward.item] || 0) + (reward.quantity ?? 1);
+    });
+    if (Object.entries(remove).some(([templateId, quantity]) => inventory.countItem(player, templateId) < quantity)) {
+      this.gameServer.sendMessage(player, `You do not have everything for ${quest.name} yet.`);
+      return false;
+    }
+    if (!inventory.canExchange(player, remove, add)) {
+      this.gameServer.sendMessage(player, 'Make room in your inventory first.');
+      return false;
+    }
+
+    for (const [templateId, quantity] of Object.entries(remove)) {
+      inventory.removeItem(player, templateId, quantity);
+    }
+    for (const [templateId, quantity] of Object.entries(add)) {
+      inventory.addItem(player, templateId, quantity);
+    }
+    inventory.addGold(player, quest.rewards.gold);
+
+    player.quests[questId].state = 'completed';
+    logger.info(`Player ${player.name} completes quest ${questId}`);
+    this.gameServer.sendMessage(player, `Quest complete: ${quest.name}`);
+    if (quest.rewards.gold > 0) {
+      this.gameServer.sendMessage(player, `You receive ${quest.rewards.gold} gold. You have ${player.gold} gold.`);
+    }
+
+    this.gameServer.progressionSystem.awardExp(player, quest.rewards.exp, `quest:${questId}`);
+    inventory.sendInventory(player);
+    this.save(player);
+    if (this.getActiveQuests(player).length > 0) this.sendQuests(player);
+    return true;
+  }
+
+  getActiveQuests(player) {
+    return Object.keys(player.quests).filter(id => player.quests[id].state === 'active');
+  }
+
+  /**
+   * Client sends: {type:"c", r:"qs"}
+   */
+  sendQuests(player) {
+    const registry = this.gameServer.questRegistry;
+    const obj = this.getActiveQuests(player)
+      .map(id => registry.get(id))
+      .filter(Boolean)
+      .map(quest => ({ name: quest.name, desc: quest.desc, prog: this.describeProgress(player, quest) }));
+
+    if (obj.length === 0) {
+      this.gameServer.sendMessage(player, 'You have no active quests.');
+      return;
+    }
+    this.gameServer.network.sendToPlayer(player.id, { type: 'quest', obj });
+  }
+
+  describeProgress(player, quest) {
+    const entry = player.quests[quest.id];
+    return quest.objectives
+      .map((objective, index) => `${this.getLabel(objective)} ${entry.progress[index]}/${objective.count}`)
+      .join(', ');
+  }
+
+  getLabel(objective) {
+    if (objective.label) return objective.label;
+    const gameServer = this.gameServer;
+    const template = {
+      kill: () => gameServer.mobRegistry.get(objective.mob),
+      collect: () => gameServer.itemRegistry.get(objective.item),
+      talk: () => gameServer.npcRegistry.get(objective.npc),
+    }[objective.type]?.();
+    return template ? template.name : objective.type;
+  }
+
+  /**
+   * Count a mob kill towards kill objectives.
+   */
+  onKill(player, mob) {
+    this.advance(player, objective => objective.type === 'kill' && objective.mob === mob.templateId);
+  }
+
+  /**
+   * Count talking to an NPC towards talk objectives.
+   */
+  onTalk(player, npc) {
+    this.advance(player, objective => objective.type === 'talk' && objective.npc === npc.templateId);
+  }
+
+  /**
+   * Re-count carried items for collect objectives.
+   * Called whenever the inventory is sent, which follows every change.
+   */
+  onInventoryChanged(player) {
+    for (const questId of this.getActiveQuests(player)) {
+      if (this.updateCollected(player, questId)) this.save(player);
+    }
+  }
+
+  /**
+   * Add one to every matching objective of the player's active quests.
+   */
+  advance(player, matches) {
+    const registry = this.gameServer.questRegistry;
+    let changed = false;
+
+    for (const questId of this.getActiveQuests(player)) {
+      const quest = registry.get(questId);
+      if (!quest) continue;
+      quest.objectives.forEach((objective, index) => {
+        if (matches(objective)) {
+          changed = this.setProgress(player, quest, index, player.quests[questId].progress[index] + 1) || changed;
+        }
+      });
+    }
+
+    if (changed) this.save(player);
+  }
+
+  updateCollected(player, questId) {
+    const quest = this.gameServer.questRegistry.get(questId);
+    if (!quest) return false;
+
+    const inventory = this.gameServer.inventorySystem;
+    let changed = false;
+    quest.objectives.forEach((objective, index) => {
+      if (objective.type === 'collect') {
+        changed = this.setProgress(player, quest, index, inventory.countItem(player, objective.item)) || changed;
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Set an objective's progress (capped at its count) and report changes.
+   */
+  setProgress(player, quest, index, value) {
+    const entry = player.quests[quest.id];
+    const objective = quest.objectives[index];
+    const progress = Math.min(value, objective.count);
+    if (entry.progress[index] === progress) return false;
+
+    const wasReady = this.isReady(player, quest.id);
+    entry.progress[index] = progress;
+    this.gameServer.sendMessage(player, `${quest.name}: ${this.getLabel(objective)} ${progress}/${objective.count}`);
+    if (!wasReady && this.isReady(player, quest.id)) {
+      this.gameServer.sendMessage(player, `${quest.name}: all objectives done. Return to turn it in.`);
+    }
+    return true;
+  }
+
+  save(player) {
+    this.gameServer.saveCharacter(player, { quests: player.quests });
+  }
+
+  /**
+   * Called each tick; checks reach objectives.
+   */
+  update(deltaTime, tickCount) {
+    this.elapsed += deltaTime;
+    if (this.elapsed < REACH_CHECK_INTERVAL) return;
+    this.elapsed = 0;
+
+    for (const player of this.gameServer.players.values()) {
+      if (player.isDead) continue;
+      this.advance(player, objective => objective.type === 'reach' &&
+        (objective.mapId || 'overworld') === player.mapId &&
+        Math.max(Math.abs(player.x - objective.x), Math.abs(player.y - objective.y)) <= (objective.radius ?? 0));
+    }
+  }
+}
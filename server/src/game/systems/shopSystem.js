@@ -0,0 +1,254 @@
+import { CONTAINER_SLOT_OFFSET } from './containerSystem.js';
+import { logger } from '../../utils/logger.js';
+
+// How far (in tiles, including diagonals) a player may be from the merchant.
+const SHOP_RANGE = 2;
+
+// How often limited stock is checked for restocking (ms).
+const RESTOCK_CHECK_INTERVAL = 1000;
+
+/**
+ * Shop System.
+ * NPC merchants sell and buy items for gold (see ShopRegistry). Limited
+ * stock is shared by everyone using the shop and refills to its starting
+ * amount every restock ms. Items sold to the shop go back on a limited
+ * listing, but never past its starting amount.
+ *
+ * An open shop (player.openShop) is shown on the last inventory page like
+ * a container: each listing is a slot starting at CONTAINER_SLOT_OFFSET,
+ * named with its price, with the remaining stock as quantity.
+ *   - use a listing, or drag it into the inventory: buy one
+ *   - drag an inventory stack onto the shop page: sell the whole stack
+ *
+ * Every purchase and sale is checked in full (gold, stock, inventory space)
+ * before anything changes, and logged.
+ */
+export class ShopSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.stock = new Map(); // shopId -> { counts: (number|null)[], restockAt }
+    this.elapsed = 0;
+  }
+
+  /**
+   * Get the live stock of a shop, creating it on first use.
+   */
+  getStock(shop) {
+    let state = this.stock.get(shop.id);
+    if (!state) {
+      state = {
+        counts: shop.stock.map(entry => entry.stock),
+        restockAt: shop.restock > 0 ? Date.now() + shop.restock : 0,
+      };
+      this.stock.set(shop.id, state);
+    }
+    return state;
+  }
+
+  /**
+   * Stock entries the shop sells, in page order, with their stock index.
+   */
+  getListings(shop) {
+    const listings = [];
+    shop.stock.forEach((entry, index) => {
+      if (entry.price !== null) listings.push({ entry, index });
+    });
+    return listings;
+  }
+
+  /**
+   * Open a merchant's shop.
+   * Called from NPC dialogue: { do: "shop", id }
+   */
+  open(player, npc, shopId) {
+    const shop = this.gameServer.shopRegistry.get(shopId);
+    if (!shop) {
+      logger.warn(`NPC ${npc.name} opens unknown shop ${shopId}`);
+      return;
+    }
+    if (player.trade) {
+      this.gameServer.sendMessage(player, 'Finish your trade first.');
+      return;
+    }
+
+    player.openContainer = null;
+    player.openShop = { shopId, npcId: npc.id };
+    this.gameServer.inventorySystem.sendInventory(player);
+    this.gameServer.sendMessage(
+      player,
+      `${shop.name}: the wares are on the last inventory page. You have ${player.gold} gold.`
+    );
+  }
+
+  close(player) {
+    if (!player.openShop) return;
+    player.openShop = null;
+    this.gameServer.inventorySystem.sendInventory(player);
+  }
+
+  getOpenShop(player) {
+    return player.openShop ? this.gameServer.shopRegistry.get(player.openShop.shopId) : null;
+  }
+
+  /**
+   * Client sends: {type:"u", slot} on a shop slot
+   */
+  takeItem(player, slot) {
+    this.buy(player, slot - CONTAINER_SLOT_OFFSET);
+  }
+
+  /**
+   * Client sends: {type:"sw", slot, swap} with one slot on the shop page
+   */
+  handleSwap(player, slot, swap) {
+    const fromShop = slot >= CONTAINER_SLOT_OFFSET;
+    const toShop = swap >= CONTAINER_SLOT_OFFSET;
+    if (fromShop && !toShop) {
+      this.buy(player, slot - CONTAINER_SLOT_OFFSET);
+    } else if (!fromShop && toShop) {
+      this.sell(player, slot);
+    }
+  }
+
+  /**
+   * Buy one of a listing.
+   */
+  buy(player, listingIndex) {
+    const shop = this.getOpenShop(player);
+    const listing = shop ? this.getListings(shop)[listingIndex] : null;
+    if (!listing) return;
+
+    const { entry, index } = listing;
+    const stock = this.getStock(shop);
+    const inventory = this.gameServer.inventorySystem;
+
+    let error = null;
+    if (stock.counts[index] !== null && stock.counts[index] <= 0) {
+      error = 'That is sold out.';
+    } else if (player.gold < entry.price) {
+      error = `You need ${entry.price} gold.`;
+    } else if (!inventory.canAddItem(player, entry.item, 1)) {
+      error = 'Your inventory is full.';
+    }
+    if (error) {
+      this.gameServer.sendMessage(player, error);
+      return;
+    }
+
+    inventory.removeGold(player, entry.price);
+    if (stock.counts[index] !== null) stock.counts[index]--;
+    inventory.addItem(player, entry.item, 1);
+
+    logger.info(`Shop ${shop.id}: ${player.name} bought 1x ${entry.item} for ${entry.price} gold`);
+    this.gameServer.sendMessage(player, `Bought ${this.getItemName(entry.item)} for ${entry.price} gold. You have ${player.gold} gold.`);
+    this.syncViewers(shop.id);
+  }
+
+  /**
+   * Sell a whole inventory stack to the open shop.
+   */
+  sell(player, slot) {
+    const shop = this.getOpenShop(player);
+    const inventory = this.gameServer.inventorySystem;
+    const items = inventory.getInventory(player.id);
+    const item = shop && items ? items[slot] : null;
+    if (!item) return;
+
+    const index = shop.stock.findIndex(entry => entry.item === item.templateId && entry.sell !== null);
+    if (index === -1) {
+      this.gameServer.sendMessage(player, `${shop.name} does not buy that.`);
+      return;
+    }
+    if (this.gameServer.equipmentSystem.isEquipped(player, item)) {
+      this.gameServer.sendMessage(player, 'Unequip it first.');
+      return;
+    }
+
+    const entry = shop.stock[index];
+    const quantity = item.quantity;
+    const total = entry.sell * quantity;
+    inventory.takeFromSlot(player, slot, quantity);
+    inventory.addGold(player, total);
+
+    const stock = this.getStock(shop);
+    if (stock.counts[index] !== null) {
+      stock.counts[index] = Math.min(stock.counts[index] + quantity, entry.stock);
+    }
+
+    logger.info(`Shop ${shop.id}: ${player.name} sold ${quantity}x ${entry.item} for ${total} gold`);
+    this.gameServer.sendMessage(player, `Sold ${quantity}x ${this.getItemName(entry.item)} for ${total} gold. You have ${player.gold} gold.`);
+    this.syncViewers(shop.id);
+  }
+
+  getItemName(templateId) {
+    const template = this.gameServer.itemRegistry.get(templateId);
+    return template ? template.name : templateId;
+  }
+
+  /**
+   * Resend the inventory to everyone browsing a shop.
+   */
+  syncViewers(shopId) {
+    for (const viewer of this.gameServer.players.values()) {
+      if (viewer.openShop && viewer.openShop.shopId === shopId) {
+        this.gameServer.inventorySystem.sendInventory(viewer);
+      }
+    }
+  }
+
+  /**
+   * Serialize the open shop's listings for the inv packet.
+   */
+  toSlotPackets(player) {
+    const shop = this.getOpenShop(player);
+    if (!shop) return [];
+
+    const stock = this.getStock(shop);
+    return this.getListings(shop).map(({ entry, index }, position) => {
+      const template = this.gameServer.itemRegistry.get(entry.item);
+      const count = stock.counts[index];
+      return {
+        slot: CONTAINER_SLOT_OFFSET + position,
+        n: `${template.name} (${entry.price}g)`,
+        t: entry.item,
+        spr: template.sprite,
+        qty: count === null ? 1 : count,
+        eqp: 0,
+      };
+    });
+  }
+
+  /**
+   * Called each tick; restocks shops and closes shops players walked away from.
+   */
+  update(deltaTime, tickCount) {
+    for (const player of this.gameServer.players.values()) {
+      if (!player.openShop) continue;
+      const npc = this.gameServer.npcs.get(player.openShop.npcId);
+      const inRange = npc && player.mapId === npc.mapId &&
+        Math.max(Math.abs(player.x - npc.x), Math.abs(player.y - npc.y)) <= SHOP_RANGE;
+      if (!inRange || player.isDead) {
+        this.close(player);
+      }
+    }
+
+    this.elapsed += deltaTime;
+    if (this.elapsed < RESTOCK_CHECK_INTERVAL) return;
+    this.elapsed = 0;
+
+    const now = Date.now();
+    for (const [shopId, state] of this.stock) {
+      if (state.restockAt === 0 || now < state.restockAt) continue;
+
+      const shop = this.gameServer.shopRegistry.get(shopId);
+      shop.stock.forEach((entry, index) => {
+        if (entry.stock !== null) {
+          state.counts[index] = Math.max(state.counts[index], entry.stock);
+        }
+      });
+      state.restockAt = now + shop.restock;
+      this.syncViewers(shopId);
+      logger.debug(`Shop ${shopId} restocked`);
+    }
+  }
+}
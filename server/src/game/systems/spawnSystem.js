@@ -0,0 +1,168 @@
+import { logger } from '../../utils/logger.js';
+
+// Random tile attempts before a spawn is retried on a later tick.
+const SPAWN_ATTEMPTS = 30;
+
+// Delay before retrying a respawn that found no free tile (ms).
+const SPAWN_RETRY_DELAY = 5000;
+
+/**
+ * Spawn System
+ *
+ * Populates gameServer.mobs from the spawn regions of each loaded map
+ * (GameMap.spawnRegions, defined in maps.json):
+ *
+ *   { template: "wolf", count: 4, area: { x, y, w, h }, respawnTime: 30000 }
+ *
+ * A region is filled the first time its map is seen, together with the
+ * map's NPCs (GameMap.npcSpawns: { template, x, y, dir? }), which stand
+ * where they are placed and never despawn. When one of its mobs
+ * dies the mob is kept (isDead) and brought back after respawnTime at a
+ * random walkable, unoccupied tile inside the area.
+ *
+ * Nearby clients receive {type:"remove", id} on death and the mob's
+ * plr_tpl + {type:"p"} spawn packet when it (re)appears.
+ */
+export class SpawnSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.regions = new Map();        // regionKey -> { mapId, def, mobIds: Set }
+    this.initializedMaps = new Set(); // mapIds whose regions were filled
+  }
+
+  /**
+   * Called each tick: fill new maps and process due respawns.
+   */
+  update(deltaTime, tickCount) {
+    for (const map of this.gameServer.mapLoader.maps.values()) {
+      if (!this.initializedMaps.has(map.id)) {
+        this.initializedMaps.add(map.id);
+        this.initMap(map);
+      }
+    }
+
+    const now = Date.now();
+    for (const region of this.regions.values()) {
+      for (const mobId of region.mobIds) {
+        const mob = this.gameServer.mobs.get(mobId);
+        if (mob && mob.isDead && mob.respawnAt > 0 && now >= mob.respawnAt) {
+          this.respawnMob(mob, region, now);
+        }
+      }
+    }
+  }
+
+  /**
+   * Create every NPC and every mob for a map's spawn regions.
+   */
+  initMap(map) {
+    for (const def of map.npcSpawns) {
+      const npc = this.gameServer.npcRegistry.createNpc(def.template);
+      if (!npc) continue;
+      npc.mapId = map.id;
+      npc.x = def.x;
+      npc.y = def.y;
+      npc.dir = def.dir ?? npc.dir;
+      this.gameServer.npcs.set(npc.id, npc);
+      logger.info(`NPC ${npc.name} placed at ${map.id} (${npc.x}, ${npc.y})`);
+    }
+
+    map.spawnRegions.forEach((def, index) => {
+      const key = `${map.id}:${index}`;
+      const region = { mapId: map.id, def, mobIds: new Set() };
+      this.regions.set(key, region);
+
+      for (let i = 0; i < (def.count || 0); i++) {
+        const mob = this.gameServer.mobRegistry.createMob(def.template);
+        if (!mob) break;
+
+        mob.mapId = map.id;
+        mob.spawnRegion = key;
+        if (def.respawnTime !== undefined) {
+          mob.respawnTime = def.respawnTime;
+        }
+
+        const tile = this.findSpawnTile(map, def.area);
+        if (!tile) {
+          logger.warn(`No free tile for ${def.template} in spawn region ${key}`);
+          break;
+        }
+
+        mob.setHome(tile.x, tile.y);
+        this.gameServer.mobs.set(mob.id, mob);
+        region.mobIds.add(mob.id);
+        this.announceMob(mob);
+      }
+
+      logger.info(`Spawn region ${key}: ${region.mobIds.size}x ${def.template}`);
+    });
+  }
+
+  /**
+   * Called by CombatSystem when a mob dies.
+   */
+  onMobDeath(mob) {
+    this.gameServer.network.broadcastToNearby(
+      mob.x, mob.y, mob.mapId,
+      { type: 'remove', id: mob.id },
+      null
+    );
+
+    if (mob.spawnRegion && this.regions.has(mob.spawnRegion)) {
+      mob.respawnAt = Date.now() + mob.respawnTime;
+    } else {
+      // Not owned by a region - nothing will bring it back
+      this.gameServer.mobs.delete(mob.id);
+    }
+  }
+
+  respawnMob(mob, region, now) {
+    const map = this.gameServer.mapLoader.getMap(region.mapId);
+    const tile = map ? this.findSpawnTile(map, region.def.area) : null;
+    if (!tile) {
+      mob.respawnAt = now + SPAWN_RETRY_DELAY;
+      return;
+    }
+
+    mob.setHome(tile.x, tile.y);
+    mob.hp = mob.maxHp;
+    mob.isDead = false;
+    mob.respawnAt = 0;
+    mob.dir = 2;
+    mob.isMoving = false;
+    mob.aiState = 'idle';
+    mob.aggroTarget = null;
+    mob.lastAttackTime = 0;
+
+    this.announceMob(mob);
+    logger.debug(`Mob respawned: ${mob.name} (${mob.id}) at (${mob.x}, ${mob.y})`);
+  }
+
+  /**
+   * Pick a random walkable, unoccupied tile inside a spawn area.
+   */
+  findSpawnTile(map, area) {
+    const { x = 0, y = 0, w = map.width, h = map.height } = area || {};
+
+    for (let i = 0; i < SPAWN_ATTEMPTS; i++) {
+      const tx = x + Math.floor(Math.random() * w);
+      const ty = y + Math.floor(Math.random() * h);
+      if (map.isWalkable(tx, ty) &&
+          !this.gameServer.movementSystem.isTileOccupiedByEntity(tx, ty, map.id, null)) {
+        return { x: tx, y: ty };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Show a (re)spawned mob to every player who can see its tile.
+   */
+  announceMob(mob) {
+    const viewers = this.gameServer.stateSnapshot.getPlayersInView(mob.x, mob.y, mob.mapId);
+    for (const player of viewers) {
+      this.gameServer.stateSnapshot.sendMobTemplate(player, mob);
+      this.gameServer.network.sendToPlayer(player.id, mob.toSpawnPacket());
+    }
+  }
+}
@@ -0,0 +1,124 @@
+import { clamp } from '../../utils/math.js';
+import { logger } from '../../utils/logger.js';
+import config from '../../core/config.js';
+
+// How often meters are drained and penalties re-evaluated (ms).
+const SURVIVAL_INTERVAL = 1000;
+
+/**
+ * Survival System
+ * Drains hunger (and optionally thirst) over time and applies penalties
+ * when a meter runs dry:
+ *
+ *   hunger = 0 -> lose starvationDamage HP every starvationInterval ms
+ *   thirst = 0 -> curSpeed slowed by dehydrationSlowdown ms per tile
+ *
+ * From client analysis:
+ *   - {type:"s", f} sets the Food bar (percent). There is no thirst bar,
+ *     so thirst only shows through its slowdown.
+ *
+ * Food and drink go through restore(), which consumable items call.
+ * Hunger is saved to the character document whenever the shown value
+ * changes, and restored at login.
+ */
+export class SurvivalSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.elapsed = 0;
+  }
+
+  /**
+   * Called each tick; meters update every SURVIVAL_INTERVAL ms.
+   */
+  update(deltaTime, tickCount) {
+    this.elapsed += deltaTime;
+    if (this.elapsed < SURVIVAL_INTERVAL) return;
+    const elapsed = this.elapsed;
+    this.elapsed = 0;
+
+    const now = Date.now();
+    for (const player of this.gameServer.players.values()) {
+      if (player.isDead) continue;
+      this.updatePlayer(player, elapsed, now);
+    }
+  }
+
+  updatePlayer(player, elapsed, now) {
+    const minutes = elapsed / 60000;
+
+    this.setMeter(player, 'hunger', player.hunger - config.game.hungerDrainPerMinute * minutes);
+    if (config.game.thirstEnabled) {
+      this.setMeter(player, 'thirst', player.thirst - config.game.thirstDrainPerMinute * minutes);
+    }
+
+    // Starvation: periodic HP loss
+    if (player.hunger <= 0 && now - player.lastStarveTime >= config.game.starvationInterval) {
+      player.lastStarveTime = now;
+      this.gameServer.combatSystem.applyDamage(
+        { name: 'starvation' },
+        player,
+        config.game.starvationDamage
+      );
+    }
+  }
+
+  /**
+   * Restore survival meters, e.g. from food: { hunger: 20, thirst: 10 }.
+   */
+  restore(player, amounts) {
+    for (const [meter, amount] of Object.entries(amounts)) {
+      if (meter !== 'hunger' && meter !== 'thirst') continue;
+      this.setMeter(player, meter, player[meter] + amount);
+    }
+  }
+
+  /**
+   * Refill all meters (respawn).
+   */
+  resetPlayer(player) {
+    player.hunger = 100;
+    player.thirst = 100;
+    this.gameServer.saveCharacter(player, { hunger: player.hunger });
+    this.updateSpeedPenalty(player);
+  }
+
+  /**
+   * Set a meter, syncing the client (and saving hunger) when the shown
+   * value changes.
+   */
+  setMeter(player, meter, value) {
+    const before = player[meter];
+    player[meter] = clamp(value, 0, 100);
+
+    if (meter === 'hunger') {
+      if (Math.floor(before) !== Math.floor(player.hunger)) {
+        this.gameServer.network.sendToPlayer(player.id, player.toStatusPacket());
+        this.gameServer.saveCharacter(player, { hunger: Math.floor(player.hunger) });
+      }
+      if (before > 0 && player.hunger <= 0) {
+        this.gameServer.sendMessage(player, 'You are starving!');
+      }
+    } else if (meter === 'thirst') {
+      this.updateSpeedPenalty(player);
+    }
+  }
+
+  /**
+   * Recompute the dehydration slowdown and broadcast a speed change.
+   */
+  updateSpeedPenalty(player) {
+    const penalty = config.game.thirstEnabled && player.thirst <= 0
+      ? config.game.dehydrationSlowdown
+      : 0;
+    if (player.speedPenalty === penalty) return;
+
+    player.speedPenalty = penalty;
+    player.updateCurSpeed(player.tileSpeedMod);
+    this.gameServer.broadcastPlayerUpdate(player);
+
+    if (penalty > 0) {
+      this.gameServer.sendMessage(player, 'You are parched and slowing down.');
+      logger.debug(`Player ${player.name} is dehydrated`);
+    }
+  }
+}
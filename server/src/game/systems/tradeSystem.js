@@ -0,0 +1,514 @@
+import { v4 as uuidv4 } from 'uuid';
+import { CONTAINER_SLOT_OFFSET } from './containerSystem.js';
+import { logger } from '../../utils/logger.js';
+
+// How far (in tiles, including diagonals) trading players may be apart.
+const TRADE_RANGE = 3;
+
+// How long a trade request waits for an answer (ms).
+const TRADE_REQUEST_TIMEOUT = 30000;
+
+// Most different items one side can offer (plus one slot for gold).
+const MAX_OFFER_ITEMS = 6;
+
+// First slot of the partner's offer on the last inventory page.
+const PARTNER_SLOT_OFFSET = CONTAINER_SLOT_OFFSET + MAX_OFFER_ITEMS + 2;
+
+/**
+ * Trade System.
+ * Player-to-player exchange of items and gold:
+ *
+ *   1. A asks B to trade, B asks A back: the session opens.
+ *   2. Both put up items and gold. Any change resets both confirmations.
+ *   3. Both accept the offers, then both confirm them.
+ *   4. The exchange is checked for both sides (items still there, gold,
+ *      inventory space) and then applied to both inventories, or not at all.
+ *
+ * Offered items stay in the inventory until the trade completes; an offer
+ * is { templateId, quantity } per item. The session (player.trade) is
+ * cancelled when either side walks away, changes map, dies or disconnects.
+ * Completed trades are written to the 'trades' collection.
+ *
+ * The open trade is shown on the last inventory page: your offer from
+ * CONTAINER_SLOT_OFFSET, the partner's from PARTNER_SLOT_OFFSET.
+ *   - drag an inventory stack onto the page: offer it
+ *   - use your offered item, or drag it back: withdraw it
+ *
+ * Players type in chat:
+ *   /trade [name]     request (or answer) a trade; default: the faced player
+ *   /trade accept     answer a request; in a trade, accept then confirm
+ *   /trade decline    turn down a request, or cancel the trade
+ *   /trade gold n     offer n gold
+ * Clients may also send {type:"c", r:"tr", a, ...}: a:"req" with id?,
+ * a:"gold" with amt, a:"ok" (accept/confirm) and a:"no" (cancel).
+ */
+export class TradeSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.requests = new Map(); // requesterId -> { targetId, expiresAt }
+
+    gameServer.chatSystem.registerCommand('trade', {
+      usage: '/trade [name] | accept | decline | gold n',
+      help: 'Ask a player (default: the one you face) to trade, then answer and offer gold',
+      run: (player, args) => {
+        const action = (args[0] || '').toLowerCase();
+        if (action === 'accept' || action === 'confirm') {
+          this.answer(player);
+          return;
+        }
+        if (action === 'decline' || action === 'cancel') {
+          this.decline(player);
+          return;
+        }
+        if (action === 'gold') {
+          const amount = Number.parseInt(args[1], 10);
+          if (!player.trade) {
+            gameServer.sendMessage(player, 'You are not trading.');
+          } else if (!Number.isInteger(amount) || amount < 0) {
+            gameServer.sendMessage(player, 'Usage: /trade gold amount');
+          } else {
+            this.offerGold(player, amount);
+          }
+          return;
+        }
+
+        const target = args[0] ? gameServer.findPlayerByName(args[0]) : null;
+        if (args[0] && !target) {
+          gameServer.sendMessage(player, `${args[0]} is not online.`);
+          return;
+        }
+        this.request(player, target ? target.id : null);
+      },
+    });
+  }
+
+  /**
+   * Dispatch a trade sub-request.
+   * Client sends: {type:"c", r:"tr", a, ...}
+   */
+  handleRequest(player, packet) {
+    switch (packet.a) {
+      case 'req':
+        this.request(player, typeof packet.id === 'string' ? packet.id : null);
+        break;
+      case 'gold':
+        if (Number.isInteger(packet.amt)) this.offerGold(player, packet.amt);
+        break;
+      case 'ok':
+        this.accept(player);
+        break;
+      case 'no':
+        if (player.trade) this.cancel(player.trade, `${player.name} cancelled the trade.`);
+        break;
+      default:
+        logger.debug(`Unknown trade request ${packet.a} from ${player.name}`);
+        break;
+    }
+  }
+
+  /**
+   * Ask another player to trade, or answer their request.
+   */
+  request(player, targetId) {
+    const target = targetId ? this.gameServer.getPlayer(targetId) : this.findFacedPlayer(player);
+    if (!target || target === player || target.isDead) return;
+
+    if (player.trade || target.trade) {
+      this.gameServer.sendMessage(player, player.trade ? 'You are already trading.' : `${target.name} is busy.`);
+      return;
+    }
+    if (!this.isInRange(player, target)) {
+      this.gameServer.sendMessage(player, `${target.name} is too far away.`);
+      return;
+    }
+
+    const pending = this.requests.get(target.id);
+    if (pending && pending.targetId === player.id && pending.expiresAt > Date.now()) {
+      this.requests.delete(target.id);
+      this.open(target, player);
+      return;
+    }
+
+    this.requests.set(player.id, { targetId: target.id, expiresAt: Date.now() + TRADE_REQUEST_TIMEOUT });
+    this.gameServer.sendMessage(player, `You ask ${target.name} to trade.`);
+    this.gameServer.sendMessage(
+      target, `${player.name} wants to trade with you. Type /trade accept or /trade decline.`
+    );
+  }
+
+  /**
+   * Requests made to a player that are still open, by requester id.
+   */
+  getRequestsTo(player) {
+    const now = Date.now();
+    return [...this.requests]
+      .filter(([, request]) => request.targetId === player.id && request.expiresAt > now)
+      .map(([requesterId]) => requesterId);
+  }
+
+  /**
+   * "/trade accept": accept or confirm the open trade, or else answer the
+   * latest request.
+   */
+  answer(player) {
+    if (player.trade) {
+      this.accept(player);
+      return;
+    }
+    const requesterId = this.getRequestsTo(player).pop();
+    if (!requesterId) {
+      this.gameServer.sendMessage(player, 'Nobody has asked you to trade.');
+      return;
+    }
+    this.request(player, requesterId);
+  }
+
+  /**
+   * "/trade decline": cancel the open trade, or else turn down every request.
+   */
+  decline(player) {
+    if (player.trade) {
+      this.cancel(player.trade, `${player.name} cancelled the trade.`);
+      return;
+    }
+    const requesterIds = this.getRequestsTo(player);
+    if (requesterIds.length === 0) {
+      this.gameServer.sendMessage(player, 'You are not trading.');
+      return;
+    }
+    for (const requesterId of requesterIds) {
+      this.requests.delete(requesterId);
+      const requester = this.gameServer.getPlayer(requesterId);
+      if (requester) this.gameServer.sendMessage(requester, `${player.name} declines to trade.`);
+    }
+    this.gameServer.sendMessage(player, 'You decline.');
+  }
+
+  findFacedPlayer(player) {
+    const x = player.x + [0, 1, 0, -1][player.dir];
+    const y = player.y + [-1, 0, 1, 0][player.dir];
+    for (const other of this.gameServer.players.values()) {
+      if (other.mapId === player.mapId && other.x === x && other.y === y) return other;
+    }
+    return null;
+  }
+
+  open(a, b) {
+    const session = {
+      id: uuidv4(),
+      playerIds: [a.id, b.id],
+      offers: {
+        [a.id]: { items: [], gold: 0, stage: 'open' },
+        [b.id]: { items: [], gold: 0, stage: 'open' },
+      },
+    };
+
+    for (const player of [a, b]) {
+      player.openContainer = null;
+      player.openShop = null;
+      player.trade = session;
+    }
+
+    logger.debug(`Trade ${session.id} opened between ${a.name} and ${b.name}`);
+    this.gameServer.sendMessage(a, `Trading with ${b.name}. Offers are on the last inventory page; type /trade accept when ready.`);
+    this.gameServer.sendMessage(b, `Trading with ${a.name}. Offers are on the last inventory page; type /trade accept when ready.`);
+    this.sync(session);
+  }
+
+  getPartner(player) {
+    const session = player.trade;
+    if (!session) return null;
+    const partnerId = session.playerIds.find(id => id !== player.id);
+    return this.gameServer.getPlayer(partnerId);
+  }
+
+  /**
+   * Offer a whole inventory stack.
+   */
+  offerItem(player, slot) {
+    const session = player.trade;
+    const inventory = this.gameServer.inventorySystem;
+    const items = inventory.getInventory(player.id);
+    const item = session && items ? items[slot] : null;
+    if (!item) return;
+
+    if (this.gameServer.equipmentSystem.isEquipped(player, item)) {
+      this.gameServer.sendMessage(player, 'Unequip it first.');
+      return;
+    }
+
+    const offer = session.offers[player.id];
+    const existing = offer.items.find(entry => entry.templateId === item.templateId);
+    const offered = existing ? existing.quantity : 0;
+    const quantity = Math.min(item.quantity, inventory.countItem(player, item.templateId) - offered);
+    if (quantity <= 0) return;
+
+    if (existing) {
+      existing.quantity += quantity;
+    } else if (offer.items.length >= MAX_OFFER_ITEMS) {
+      this.gameServer.sendMessage(player, 'You cannot offer any more items.');
+      return;
+    } else {
+      offer.items.push({ templateId: item.templateId, quantity });
+    }
+    this.onOfferChanged(player);
+  }
+
+  /**
+   * Take back one of the offered items (or the gold).
+   */
+  withdraw(player, index) {
+    const session = player.trade;
+    if (!session) return;
+
+    const offer = session.offers[player.id];
+    if (index < offer.items.length) {
+      offer.items.splice(index, 1);
+    } else if (index === offer.items.length && offer.gold > 0) {
+      offer.gold = 0;
+    } else {
+      return;
+    }
+    this.onOfferChanged(player);
+  }
+
+  offerGold(player, amount) {
+    const session = player.trade;
+    if (!session || amount < 0) return;
+
+    if (amount > player.gold) {
+      this.gameServer.sendMessage(player, `You only have ${player.gold} gold.`);
+      return;
+    }
+    session.offers[player.id].gold = amount;
+    this.onOfferChanged(player);
+  }
+
+  /**
+   * Any change to an offer has to be accepted and confirmed again.
+   */
+  onOfferChanged(player) {
+    const session = player.trade;
+    for (const offer of Object.values(session.offers)) {
+      offer.stage = 'open';
+    }
+    const partner = this.getPartner(player);
+    if (partner) this.gameServer.sendMessage(partner, `${player.name} changed the offer.`);
+    this.sync(session);
+  }
+
+  /**
+   * Accept the offers; once both have, confirm them.
+   */
+  accept(player) {
+    const session = player.trade;
+    const partner = this.getPartner(player);
+    if (!session || !partner) return;
+
+    const mine = session.offers[player.id];
+    const theirs = session.offers[partner.id];
+
+    if (mine.stage === 'open') {
+      mine.stage = 'accepted';
+      if (theirs.stage === 'open') {
+        this.gameServer.sendMessage(player, `You accept. Waiting for ${partner.name}.`);
+        this.gameServer.sendMessage(partner, `${player.name} accepts the offers.`);
+      } else {
+        this.gameServer.sendMessage(player, 'Both sides accept. Type /trade accept again to complete the trade.');
+        this.gameServer.sendMessage(partner, 'Both sides accept. Type /trade accept again to complete the trade.');
+      }
+      return;
+    }
+
+    if (theirs.stage === 'open') {
+      this.gameServer.sendMessage(player, `Waiting for ${partner.name} to accept.`);
+      return;
+    }
+    if (mine.stage === 'confirmed') return;
+
+    mine.stage = 'confirmed';
+    if (theirs.stage === 'confirmed') {
+      this.complete(session);
+    } else {
+      this.gameServer.sendMessage(player, `You confirm. Waiting for ${partner.name}.`);
+      this.gameServer.sendMessage(partner, `${player.name} confirms the trade.`);
+    }
+  }
+
+  /**
+   * Exchange both offers, all-or-nothing.
+   */
+  complete(session) {
+    const [a, b] = session.playerIds.map(id => this.gameServer.getPlayer(id));
+    const inventory = this.gameServer.inventorySystem;
+    const offerA = session.offers[a.id];
+    const offerB = session.offers[b.id];
+    const itemsA = this.toCounts(offerA.items);
+    const itemsB = this.toCounts(offerB.items);
+
+    let error = null;
+    if (a.gold < offerA.gold || b.gold < offerB.gold) {
+      error = 'Not enough gold.';
+    } else if (!inventory.canExchange(a, itemsA, itemsB) || !inventory.canExchange(b, itemsB, itemsA)) {
+      error = 'The items are gone or there is no room for them.';
+    }
+    if (error) {
+      offerA.stage = 'open';
+      offerB.stage = 'open';
+      this.gameServer.sendMessage(a, `The trade failed: ${error}`);
+      this.gameServer.sendMessage(b, `The trade failed: ${error}`);
+      return;
+    }
+
+    const takenA = offerA.items.flatMap(entry => inventory.takeItems(a, entry.templateId, entry.quantity));
+    const takenB = offerB.items.flatMap(entry => inventory.takeItems(b, entry.templateId, entry.quantity));
+    for (const item of takenB) inventory.addItem(a, item.templateId, item.quantity, item);
+    for (const item of takenA) inventory.addItem(b, item.templateId, item.quantity, item);
+
+    inventory.removeGold(a, offerA.gold);
+    inventory.removeGold(b, offerB.gold);
+    inventory.addGold(a, offerB.gold);
+    inventory.addGold(b, offerA.gold);
+
+    a.trade = null;
+    b.trade = null;
+    this.gameServer.sendMessage(a, 'Trade complete.');
+    this.gameServer.sendMessage(b, 'Trade complete.');
+    inventory.sendInventory(a);
+    inventory.sendInventory(b);
+
+    logger.info(
+      `Trade ${session.id}: ${a.name} gives ${this.describe(offerA)}, ${b.name} gives ${this.describe(offerB)}`
+    );
+    this.gameServer.mongo.logTrade({
+      tradeId: session.id,
+      players: [a.name, b.name],
+      characterIds: [a.characterId, b.characterId],
+      offers: [
+        { items: offerA.items, gold: offerA.gold },
+        { items: offerB.items, gold: offerB.gold },
+      ],
+    }).catch(err => {
+      logger.error(`Failed to log trade ${session.id}: ${err.message}`);
+    });
+  }
+
+  cancel(session, reason) {
+    for (const playerId of session.playerIds) {
+      const player = this.gameServer.getPlayer(playerId);
+      if (!player || player.trade !== session) continue;
+      player.trade = null;
+      this.gameServer.sendMessage(player, reason);
+      this.gameServer.inventorySystem.sendInventory(player);
+    }
+    logger.debug(`Trade ${session.id} cancelled: ${reason}`);
+  }
+
+  toCounts(items) {
+    const counts = {};
+    for (const entry of items) {
+      counts[entry.templateId] = (counts[entry.templateId] || 0) + entry.quantity;
+    }
+    return counts;
+  }
+
+  describe(offer) {
+    const parts = offer.items.map(entry => `${entry.quantity}x ${entry.templateId}`);
+    if (offer.gold > 0) parts.push(`${offer.gold} gold`);
+    return parts.length > 0 ? parts.join(', ') : 'nothing';
+  }
+
+  /**
+   * Client sends: {type:"u", slot} on a trade slot
+   */
+  takeItem(player, slot) {
+    this.withdraw(player, slot - CONTAINER_SLOT_OFFSET);
+  }
+
+  /**
+   * Client sends: {type:"sw", slot, swap} with one slot on the trade page
+   */
+  handleSwap(player, slot, swap) {
+    const fromPage = slot >= CONTAINER_SLOT_OFFSET;
+    const toPage = swap >= CONTAINER_SLOT_OFFSET;
+    if (!fromPage && toPage) {
+      this.offerItem(player, slot);
+    } else if (fromPage && !toPage) {
+      this.withdraw(player, slot - CONTAINER_SLOT_OFFSET);
+    }
+  }
+
+  /**
+   * Serialize both offers for the inv packet.
+   */
+  toSlotPackets(player) {
+    const partner = this.getPartner(player);
+    if (!partner) return [];
+    const session = player.trade;
+    return [
+      ...this.offerToSlots(player, session.offers[player.id], CONTAINER_SLOT_OFFSET, ''),
+      ...this.offerToSlots(player, session.offers[partner.id], PARTNER_SLOT_OFFSET, `${partner.name}: `),
+    ];
+  }
+
+  offerToSlots(player, offer, offset, prefix) {
+    const registry = this.gameServer.itemRegistry;
+    const entries = offer.gold > 0 ? [...offer.items, { templateId: 'gold', quantity: offer.gold }] : offer.items;
+    return entries.map((entry, index) => {
+      const template = registry.get(entry.templateId);
+      return {
+        slot: offset + index,
+        n: prefix + (template ? template.name : entry.templateId),
+        t: entry.templateId,
+        spr: template ? template.sprite : 0,
+        qty: entry.quantity,
+        eqp: 0,
+      };
+    });
+  }
+
+  sync(session) {
+    for (const playerId of session.playerIds) {
+      const player = this.gameServer.getPlayer(playerId);
+      if (player) this.gameServer.inventorySystem.sendInventory(player);
+    }
+  }
+
+  isInRange(a, b) {
+    return a.mapId === b.mapId &&
+      Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y)) <= TRADE_RANGE;
+  }
+
+  /**
+   * Cancel a leaving player's trade and requests.
+   */
+  removePlayer(playerId) {
+    this.requests.delete(playerId);
+    for (const player of this.gameServer.players.values()) {
+      if (player.trade && player.trade.playerIds.includes(playerId)) {
+        this.cancel(player.trade, 'Your trade partner left.');
+      }
+    }
+  }
+
+  /**
+   * Called each tick; cancels trades players walked away from and
+   * expires unanswered requests.
+   */
+  update(deltaTime, tickCount) {
+    for (const player of this.gameServer.players.values()) {
+      if (!player.trade) continue;
+      const partner = this.getPartner(player);
+      if (!partner || player.isDead || partner.isDead) {
+        this.cancel(player.trade, 'The trade was cancelled.');
+      } else if (!this.isInRange(player, partner)) {
+        this.cancel(player.trade, 'The trade was cancelled: you are too far apart.');
+      }
+    }
+
+    const now = Date.now();
+    for (const [requesterId, request] of this.requests) {
+      if (request.expiresAt <= now) this.requests.delete(requesterId);
+    }
+  }
+}
@@ -0,0 +1,378 @@
+import { logger } from '../../utils/logger.js';
+
+// How long a tribe invite can be accepted (ms).
+const TRIBE_INVITE_TIMEOUT = 60000;
+
+// Most members a tribe can have.
+const MAX_TRIBE_MEMBERS = 50;
+
+// Tribe names: letters, digits and single spaces, 3-16 characters.
+const TRIBE_NAME_PATTERN = /^[A-Za-z0-9]+( [A-Za-z0-9]+)*$/;
+const TRIBE_NAME_MIN = 3;
+const TRIBE_NAME_MAX = 16;
+
+/**
+ * Tribe ranks, highest first. A member may only kick or re-rank members
+ * ranked below them; there is always exactly one leader.
+ *
+ *   invite  - invite players
+ *   kick    - remove lower-ranked members
+ *   rank    - change lower-ranked members' ranks
+ *   disband - dissolve the tribe
+ */
+const RANKS = {
+  leader: { order: 3, permissions: ['invite', 'kick', 'rank', 'disband'] },
+  officer: { order: 2, permissions: ['invite', 'kick'] },
+  member: { order: 1, permissions: [] },
+};
+
+/**
+ * Tribe System.
+ * Player guilds. A tribe is { name, members: [{ name, rank }], createdAt },
+ * kept in memory and saved to the 'tribes' collection on every change.
+ *
+ * player.tribe holds the tribe name; it is what plr_tpl shows and what the
+ * tribe chat channel and PvP exemption compare. Whenever it changes the
+ * player template is re-broadcast to nearby players.
+ *
+ * Managed with "/tribe <action>" in chat (see registerCommands); tribe chat
+ * is "/tc message". Members are kept by name, so guests (whose names are
+ * reused after a restart) cannot found or join tribes.
+ *
+ * From client analysis:
+ *   - plr_tpl "t" is shown as "<t> Tribe" under the player's name.
+ */
+export class TribeSystem {
+  constructor(gameServer) {
+    this.gameServer = gameServer;
+    this.tribes = new Map();  // lowercase name -> tribe
+    this.invites = new Map(); // lowercase invitee name -> { tribe, by, expiresAt }
+    this.registerCommands();
+  }
+
+  /**
+   * Load all tribes from the database.
+   */
+  async load() {
+    try {
+      const tribes = await this.gameServer.mongo.getTribes();
+      for (const tribe of tribes) {
+        this.tribes.set(tribe.name.toLowerCase(), tribe);
+      }
+      logger.info(`Loaded ${tribes.length} tribes`);
+    } catch (err) {
+      logger.error(`Failed to load tribes: ${err.message}`);
+    }
+  }
+
+  getTribe(name) {
+    return name ? this.tribes.get(name.toLowerCase()) || null : null;
+  }
+
+  getMember(tribe, name) {
+    const key = name.toLowerCase();
+    return tribe.members.find(member => member.name.toLowerCase() === key) || null;
+  }
+
+  findTribeOf(name) {
+    for (const tribe of this.tribes.values()) {
+      if (this.getMember(tribe, name)) return tribe;
+    }
+    return null;
+  }
+
+  can(member, permission) {
+    return RANKS[member.rank].permissions.includes(permission);
+  }
+
+  outranks(member, other) {
+    return RANKS[member.rank].order > RANKS[other.rank].order;
+  }
+
+  /**
+   * Restore a joining player's tribe.
+   */
+  initPlayer(player) {
+    const tribe = player.isGuest ? null : this.findTribeOf(player.name);
+    player.tribe = tribe ? tribe.name : '';
+  }
+
+  /**
+   * Change a player's tribe and show it to everyone nearby.
+   */
+  setTribe(player, name) {
+    if (player.tribe === name) return;
+    player.tribe = name;
+    this.gameServer.network.broadcastToNearby(
+      player.x, player.y, player.mapId,
+      player.toTemplatePacket(),
+      null
+    );
+    this.gameServer.broadcastPlayerUpdate(player);
+  }
+
+  create(player, name) {
+    if (player.isGuest) {
+      this.gameServer.sendMessage(player, 'Guests cannot found tribes.');
+      return;
+    }
+    if (player.tribe) {
+      this.gameServer.sendMessage(player, 'Leave your tribe first.');
+      return;
+    }
+    if (!name || name.length < TRIBE_NAME_MIN || name.length > TRIBE_NAME_MAX || !TRIBE_NAME_PATTERN.test(name)) {
+      this.gameServer.sendMessage(
+        player, `Tribe names are ${TRIBE_NAME_MIN}-${TRIBE_NAME_MAX} letters, digits and spaces.`
+      );
+      return;
+    }
+    if (this.gameServer.moderationSystem.isFiltered(name)) {
+      this.gameServer.sendMessage(player, 'That tribe name is not allowed.');
+      return;
+    }
+    if (this.getTribe(name)) {
+      this.gameServer.sendMessage(player, `There is already a tribe called ${name}.`);
+      return;
+    }
+
+    const tribe = { name, members: [{ name: player.name, rank: 'leader' }], createdAt: new Date() };
+    this.tribes.set(name.toLowerCase(), tribe);
+    this.save(tribe);
+    this.setTribe(player, name);
+
+    logger.info(`Tribe ${name} created by ${player.name}`);
+    this.gameServer.sendMessage(player, `You founded the ${name} tribe.`);
+  }
+
+  disband(player) {
+    const tribe = this.requirePermission(player, 'disband');
+    if (!tribe) return;
+
+    this.tribes.delete(tribe.name.toLowerCase());
+    for (const [invitee, invite] of this.invites) {
+      if (invite.tribe === tribe) this.invites.delete(invitee);
+    }
+    this.gameServer.mongo.deleteTribe(tribe.name).catch(err => {
+      logger.error(`Failed to delete tribe ${tribe.name}: ${err.message}`);
+    });
+
+    this.notify(tribe, `${player.name} disbanded the tribe.`);
+    for (const member of tribe.members) {
+      const online = this.gameServer.findPlayerByName(member.name);
+      if (online) this.setTribe(online, '');
+    }
+    logger.info(`Tribe ${tribe.name} disbanded by ${player.name}`);
+  }
+
+  invite(player, name) {
+    const tribe = this.requirePermission(player, 'invite');
+    if (!tribe) return;
+
+    const target = name ? this.gameServer.findPlayerByName(name) : null;
+    if (!target) {
+      this.gameServer.sendMessage(player, name ? `${name} is not online.` : 'Usage: /tribe invite name');
+      return;
+    }
+    if (target.isGuest) {
+      this.gameServer.sendMessage(player, 'Guests cannot join tribes.');
+      return;
+    }
+    if (target.tribe) {
+      this.gameServer.sendMessage(player, `${target.name} is already in a tribe.`);
+      return;
+    }
+    if (tribe.members.length >= MAX_TRIBE_MEMBERS) {
+      this.gameServer.sendMessage(player, 'Your tribe is full.');
+      return;
+    }
+
+    const now = Date.now();
+    for (const [invitee, pending] of this.invites) {
+      if (pending.expiresAt < now) this.invites.delete(invitee);
+    }
+    this.invites.set(target.name.toLowerCase(), {
+      tribe,
+      by: player.name,
+      expiresAt: now + TRIBE_INVITE_TIMEOUT,
+    });
+    this.gameServer.sendMessage(player, `You invited ${target.name} to the tribe.`);
+    this.gameServer.sendMessage(
+      target, `${player.name} invites you to the ${tribe.name} tribe. Type /tribe accept to join.`
+    );
+  }
+
+  accept(player) {
+    if (player.isGuest) {
+      this.gameServer.sendMessage(player, 'Guests cannot join tribes.');
+      return;
+    }
+    const key = player.name.toLowerCase();
+    const invite = this.invites.get(key);
+    this.invites.delete(key);
+
+    // The tribe may have been disbanded or filled up since the invite
+    if (!invite || invite.expiresAt < Date.now() || this.getTribe(invite.tribe.name) !== invite.tribe) {
+      this.gameServer.sendMessage(player, 'You have no tribe invite.');
+      return;
+    }
+    const tribe = invite.tribe;
+    if (player.tribe) {
+      this.gameServer.sendMessage(player, 'Leave your tribe first.');
+      return;
+    }
+    if (tribe.members.length >= MAX_TRIBE_MEMBERS) {
+      this.gameServer.sendMessage(player, `The ${tribe.name} tribe is full.`);
+      return;
+    }
+
+    tribe.members.push({ name: player.name, rank: 'member' });
+    this.save(tribe);
+    this.setTribe(player, tribe.name);
+    this.notify(tribe, `${player.name} joined the tribe.`);
+  }
+
+  leave(player) {
+    const tribe = this.getTribe(player.tribe);
+    const member = tribe ? this.getMember(tribe, player.name) : null;
+    if (!member) {
+      this.gameServer.sendMessage(player, 'You are not in a tribe.');
+      return;
+    }
+    if (member.rank === 'leader') {
+      this.gameServer.sendMessage(player, 'Make someone else leader or disband the tribe first.');
+      return;
+    }
+
+    this.notify(tribe, `${player.name} left the tribe.`);
+    this.removeMember(tribe, member);
+  }
+
+  kick(player, name) {
+    const tribe = this.requirePermission(player, 'kick');
+    if (!tribe) return;
+
+    const member = name ? this.getMember(tribe, name) : null;
+    if (!member) {
+      this.gameServer.sendMessage(player, name ? `${name} is not in your tribe.` : 'Usage: /tribe kick name');
+      return;
+    }
+    if (!this.outranks(this.getMember(tribe, player.name), member)) {
+      this.gameServer.sendMessage(player, `You cannot kick ${member.name}.`);
+      return;
+    }
+
+    this.notify(tribe, `${player.name} kicked ${member.name} from the tribe.`);
+    this.removeMember(tribe, member);
+  }
+
+  /**
+   * Set a member's rank. Making someone leader hands over leadership.
+   */
+  setRank(player, name, rank) {
+    const tribe = this.requirePermission(player, 'rank');
+    if (!tribe) return;
+
+    const member = name ? this.getMember(tribe, name) : null;
+    if (!member || !RANKS[rank]) {
+      this.gameServer.sendMessage(player, `Usage: /tribe rank name ${Object.keys(RANKS).join('|')}`);
+      return;
+    }
+    const self = this.getMember(tribe, player.name);
+    if (member === self || !this.outranks(self, member)) {
+      this.gameServer.sendMessage(player, `You cannot change ${member.name}'s rank.`);
+      return;
+    }
+
+    if (rank === 'leader') self.rank = 'officer';
+    member.rank = rank;
+    this.save(tribe);
+    this.notify(tribe, rank === 'leader'
+      ? `${member.name} now leads the tribe.`
+      : `${member.name} is now ${rank === 'officer' ? 'an' : 'a'} ${rank}.`);
+  }
+
+  removeMember(tribe, member) {
+    tribe.members = tribe.members.filter(other => other !== member);
+    this.save(tribe);
+    const online = this.gameServer.findPlayerByName(member.name);
+    if (online) this.setTribe(online, '');
+  }
+
+  /**
+   * List members with their rank and online status.
+   */
+  sendRoster(player) {
+    const tribe = this.getTribe(player.tribe);
+    if (!tribe) {
+      this.gameServer.sendMessage(player, 'You are not in a tribe.');
+      return;
+    }
+
+    const members = [...tribe.members].sort((a, b) => RANKS[b.rank].order - RANKS[a.rank].order);
+    const online = members.filter(member => this.gameServer.findPlayerByName(member.name)).length;
+    this.gameServer.sendMessage(player, `${tribe.name} tribe: ${online}/${members.length} online`);
+    for (const member of members) {
+      const status = this.gameServer.findPlayerByName(member.name) ? 'online' : 'offline';
+      this.gameServer.sendMessage(player, `${member.name} (${member.rank}) - ${status}`);
+    }
+  }
+
+  /**
+   * Return the player's tribe if their rank allows an action.
+   */
+  requirePermission(player, permission) {
+    const tribe = this.getTribe(player.tribe);
+    const member = tribe ? this.getMember(tribe, player.name) : null;
+    if (!member) {
+      this.gameServer.sendMessage(player, 'You are not in a tribe.');
+      return null;
+    }
+    if (!this.can(member, permission)) {
+      this.gameServer.sendMessage(player, 'Your rank does not allow that.');
+      return null;
+    }
+    return tribe;
+  }
+
+  /**
+   * Tell every online member something.
+   */
+  notify(tribe, text) {
+    for (const member of tribe.members) {
+      const online = this.gameServer.findPlayerByName(member.name);
+      if (online) this.gameServer.sendMessage(online, `[Tribe] ${text}`);
+    }
+  }
+
+  save(tribe) {
+    this.gameServer.mongo.saveTribe(tribe).catch(err => {
+      logger.error(`Failed to save tribe ${tribe.name}: ${err.message}`);
+    });
+  }
+
+  registerCommands() {
+    const actions = {
+      create: (player, args) => this.create(player, args.join(' ')),
+      disband: (player) => this.disband(player),
+      invite: (player, args) => this.invite(player, args[0]),
+      accept: (player) => this.accept(player),
+      leave: (player) => this.leave(player),
+      kick: (player, args) => this.kick(player, args[0]),
+      rank: (player, args) => this.setRank(player, args[0], (args[1] || '').toLowerCase()),
+      roster: (player) => this.sendRoster(player),
+    };
+
+    this.gameServer.chatSystem.registerCommand('tribe', {
+      usage: `/tribe ${Object.keys(actions).join('|')}`,
+      help: 'Manage your tribe',
+      run: (player, args) => {
+        const action = actions[(args[0] || 'roster').toLowerCase()];
+        if (!action) {
+          this.gameServer.sendMessage(player, `Usage: /tribe ${Object.keys(actions).join('|')}`);
+          return;
+        }
+        action(player, args.slice(1));
+      },
+    });
+  }
+}
@@ -10,7 +10,8 @@ import config from '../../core/config.js';
  *   - Maps are tile grids with default 100x100 dimensions
  *   - Each tile has a sprite ID (spr) determining walkability
  *   - Map transitions send {type:"mt"} with new dimensions
- *   - Objects occupy tiles and can block movement
+ *   - Objects occupy tiles and can block movement; which ones block is
+ *     derived from their ObjectRegistry templates
  *   - The map stores tiles as a flat array indexed by position
  */
 export class GameMap {
@@ -25,9 +26,19 @@ export class GameMap {
     this.tileSpeed = {};         // tile_speed map (tileId -> speed modifier)
     this.objects = new Map();     // key -> array of object template IDs
     this.blockingObjects = new Set(); // keys of tiles blocked by objects
+    this.placedObjects = new Map();  // key -> template IDs built by players (persisted)
+    this.objectRegistry = null;      // resolves which object templates block
+    this.objectProperties = new Map(); // key -> per-tile data (sign text, lever trigger)
+    this.triggers = {};              // triggerId -> world actions (see InteractionSystem)
+    this.allowBuilding = true;       // players may place structures
     this.music = null;
     this.dungeonLevel = 0;
     this.isSafe = false;         // safe zone flag
+    this.pvpPolicy = 'off';      // 'off' | 'flagged' | 'ffa'
+    this.revision = 0;           // bumped whenever walkability may change
+    this.spawnRegions = [];      // mob spawn region definitions
+    this.npcSpawns = [];         // NPC placements { template, x, y, dir? }
+    this.respawnPoint = null;    // { x, y } where dead players come back
   }
 
   /**
@@ -60,6 +71,7 @@ export class GameMap {
   setTile(x, y, spriteId) {
     if (!this.inBounds(x, y)) return;
     this.tiles[this.tileIndex(x, y)] = spriteId;
+    this.revision++;
   }
 
   /**
@@ -80,15 +92,108 @@ export class GameMap {
   /**
    * Add an object to the map.
    */
-  addObject(x, y, templateId, isBlocking = false) {
+  addObject(x, y, templateId) {
     const key = getKey(x, y);
     if (!this.objects.has(key)) {
       this.objects.set(key, []);
     }
     this.objects.get(key).push(templateId);
-    if (isBlocking) {
+    this.updateBlocking(key);
+  }
+
+  /**
+   * Add a player-built object, tracked separately so it can be persisted.
+   */
+  placeObject(x, y, templateId) {
+    const key = getKey(x, y);
+    if (!this.placedObjects.has(key)) {
+      this.placedObjects.set(key, []);
+    }
+    this.placedObjects.get(key).push(templateId);
+    this.addObject(x, y, templateId);
+  }
+
+  /**
+   * Recompute whether a tile is blocked from its objects' templates.
+   */
+  updateBlocking(key) {
+    const objects = this.objects.get(key) || [];
+    const blocked = Boolean(this.objectRegistry) &&
+      objects.some(templateId => this.objectRegistry.isBlocking(templateId));
+    if (blocked === this.blockingObjects.has(key)) return;
+
+    if (blocked) {
       this.blockingObjects.add(key);
+    } else {
+      this.blockingObjects.delete(key);
+    }
+    this.revision++;
+  }
+
+  /**
+   * Get the player-built object template IDs at a position.
+   */
+  getPlacedObjects(x, y) {
+    return this.placedObjects.get(getKey(x, y)) || [];
+  }
+
+  /**
+   * Remove a single object instance at a position.
+   * Returns true if it was there.
+   */
+  removeObject(x, y, templateId) {
+    const key = getKey(x, y);
+    const objects = this.objects.get(key);
+    if (!objects) return false;
+
+    const index = objects.lastIndexOf(templateId);
+    if (index === -1) return false;
+    objects.splice(index, 1);
+    if (objects.length === 0) this.objects.delete(key);
+
+    const placed = this.placedObjects.get(key);
+    const placedIndex = placed ? placed.lastIndexOf(templateId) : -1;
+    if (placedIndex !== -1) {
+      placed.splice(placedIndex, 1);
+      if (placed.length === 0) this.placedObjects.delete(key);
     }
+
+    this.updateBlocking(key);
+    return true;
+  }
+
+  /**
+   * Swap one object instance for another in place, keeping its position in
+   * the tile's list and whether it was player-built.
+   * Returns true if the old object was there.
+   */
+  replaceObject(x, y, templateId, newTemplateId) {
+    const key = getKey(x, y);
+    const objects = this.objects.get(key);
+    const index = objects ? objects.lastIndexOf(templateId) : -1;
+    if (index === -1) return false;
+    objects[index] = newTemplateId;
+
+    const placed = this.placedObjects.get(key);
+    const placedIndex = placed ? placed.lastIndexOf(templateId) : -1;
+    if (placedIndex !== -1) placed[placedIndex] = newTemplateId;
+
+    this.updateBlocking(key);
+    return true;
+  }
+
+  /**
+   * Get the per-tile object data set by the map definition, if any.
+   */
+  getObjectProperties(x, y) {
+    return this.objectProperties.get(getKey(x, y)) || null;
+  }
+
+  /**
+   * Get the object template IDs at a position.
+   */
+  getObjects(x, y) {
+    return this.objects.get(getKey(x, y)) || [];
   }
 
   /**
@@ -97,7 +202,10 @@ export class GameMap {
   removeObjects(x, y) {
     const key = getKey(x, y);
     this.objects.delete(key);
-    this.blockingObjects.delete(key);
+    this.placedObjects.delete(key);
+    if (this.blockingObjects.delete(key)) {
+      this.revision++;
+    }
   }
 
   /**
@@ -1,13 +1,20 @@
 import { GameMap } from './gameMap.js';
+import { loadDataFile } from '../data/dataLoader.js';
 import { logger } from '../../utils/logger.js';
+import { getKey } from '../../utils/math.js';
 
 /**
  * Manages all loaded game maps.
- * In a production environment, maps would be loaded from database/files.
+ * Map definitions (name, size, flags, spawn regions, NPCs, objects,
+ * triggers) come from maps.json; maps without a definition fall back to a
+ * default grass field.
+ * Player-built objects are restored from MongoDB (worldData) at startup.
  */
 export class MapLoader {
-  constructor() {
+  constructor(objectRegistry = null) {
+    this.objectRegistry = objectRegistry;
     this.maps = new Map(); // mapId -> GameMap
+    this.definitions = loadDataFile('maps.json'); // mapId -> definition
   }
 
   /**
@@ -24,8 +31,23 @@ export class MapLoader {
    * Load or create a map.
    */
   loadMap(mapId) {
+    const def = this.definitions[mapId] || {};
+
     // Default spawn map - all grass tiles (sprite 0)
-    const map = new GameMap(mapId, 'Overworld', 100, 100);
+    const map = new GameMap(mapId, def.name || 'Overworld', def.width || 100, def.height || 100);
+    map.isSafe = Boolean(def.isSafe);
+    map.pvpPolicy = def.pvp || 'off';
+    map.allowBuilding = def.build ?? true;
+    map.objectRegistry = this.objectRegistry;
+
+    // Spawn regions: [{ template, count, area: {x, y, w, h}, respawnTime }]
+    map.spawnRegions = Array.isArray(def.spawns) ? def.spawns : [];
+
+    // NPC placements: [{ template, x, y, dir? }]
+    map.npcSpawns = Array.isArray(def.npcs) ? def.npcs : [];
+
+    // Player respawn point: { x, y }
+    map.respawnPoint = def.respawn || null;
 
     // Set all tiles to grass (walkable sprite 0)
     for (let i = 0; i < map.tiles.length; i++) {
@@ -42,6 +64,18 @@ export class MapLoader {
       map.setTile(map.width - 1, y, 325);      // right wall
     }
 
+    // Natural and fixed objects: [{ template, x, y, text?, trigger? }]
+    for (const { template, x, y, ...properties } of def.objects || []) {
+      if (!map.inBounds(x, y)) continue;
+      map.addObject(x, y, template);
+      if (Object.keys(properties).length > 0) {
+        map.objectProperties.set(getKey(x, y), properties);
+      }
+    }
+
+    // Lever triggers: { triggerId: [{ action, ... }] }
+    map.triggers = def.triggers || {};
+
     // Set tile speed modifiers (example: water tiles slow movement)
     map.tileSpeed = {};
 
@@ -50,6 +84,32 @@ export class MapLoader {
     return map;
   }
 
+  /**
+   * Restore player-built objects saved in the worldData collection.
+   */
+  async restoreWorldObjects(repository, mapId) {
+    const map = this.getMap(mapId);
+    let rows = [];
+    try {
+      rows = await repository.getWorldData(mapId);
+    } catch (err) {
+      logger.warn(`Failed to load world objects for ${mapId}: ${err.message}`);
+      return;
+    }
+
+    let count = 0;
+    for (const row of rows) {
+      if (!map.inBounds(row.x, row.y) || !Array.isArray(row.objects)) continue;
+      for (const templateId of row.objects) {
+        map.placeObject(row.x, row.y, templateId);
+        count++;
+      }
+    }
+    if (count > 0) {
+      logger.info(`Restored ${count} world objects on ${mapId}`);
+    }
+  }
+
   /**
    * Get all loaded map IDs.
    */
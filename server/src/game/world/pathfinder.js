@@ -0,0 +1,188 @@
+import { DIRECTION_VECTORS, getKey, manhattanDistance } from '../../utils/math.js';
+
+// Default number of nodes A* may expand before giving up.
+const DEFAULT_MAX_NODES = 2000;
+
+// Cached paths are dropped after this long even if the map is unchanged (ms).
+const CACHE_TTL = 5000;
+const CACHE_MAX_ENTRIES = 512;
+
+/**
+ * Heap ordering: lowest f first; on ties prefer the deeper node (higher g),
+ * which keeps A* from fanning out across open ground.
+ */
+function isBefore(a, b) {
+  return a.f < b.f || (a.f === b.f && a.g > b.g);
+}
+
+/**
+ * Binary min-heap used as the A* open set.
+ */
+class NodeHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(node) {
+    const items = this.items;
+    items.push(node);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!isBefore(node, items[parent])) break;
+      items[i] = items[parent];
+      i = parent;
+    }
+    items[i] = node;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        let smallestNode = last;
+        if (left < items.length && isBefore(items[left], smallestNode)) {
+          smallest = left;
+          smallestNode = items[left];
+        }
+        if (right < items.length && isBefore(items[right], smallestNode)) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        items[i] = items[smallest];
+        i = smallest;
+      }
+      items[i] = last;
+    }
+    return top;
+  }
+}
+
+/**
+ * A* pathfinding over GameMap walkability.
+ *
+ * Paths are returned as arrays of directions in the client encoding
+ * (0=UP, 1=RIGHT, 2=DOWN, 3=LEFT), one entry per tile step, so callers
+ * can feed them straight into their step logic. An empty array means the
+ * start already satisfies the goal; null means no path within the budget.
+ *
+ * Options:
+ *   maxNodes  - node expansion budget (default 2000)
+ *   adjacent  - stop on a tile next to the goal instead of on it
+ *               (for chasing/talking to an entity standing on the goal)
+ *   isBlocked - (x, y) => boolean, extra blocking check used for entity
+ *               avoidance. Paths found with isBlocked are never cached,
+ *               since entities move every tick.
+ *
+ * Paths without isBlocked are cached per map and budget and invalidated
+ * when the map's revision changes (tiles or blocking objects edited).
+ */
+export class Pathfinder {
+  constructor() {
+    this.cache = new Map(); // cacheKey -> { path, revision, time }
+  }
+
+  findPath(map, startX, startY, goalX, goalY, options = {}) {
+    const { maxNodes = DEFAULT_MAX_NODES, adjacent = false, isBlocked = null } = options;
+    const goalDist = adjacent ? 1 : 0;
+
+    if (manhattanDistance(startX, startY, goalX, goalY) === goalDist) return [];
+    if (!adjacent && !map.isWalkable(goalX, goalY)) return null;
+
+    const cacheKey = isBlocked
+      ? null
+      : `${map.id}:${startX},${startY}>${goalX},${goalY}:${goalDist}:${maxNodes}`;
+    if (cacheKey) {
+      const cached = this.cache.get(cacheKey);
+      if (cached && cached.revision === map.revision && Date.now() - cached.time < CACHE_TTL) {
+        return cached.path ? [...cached.path] : null;
+      }
+    }
+
+    const path = this.search(map, startX, startY, goalX, goalY, goalDist, maxNodes, isBlocked);
+
+    if (cacheKey) {
+      if (this.cache.size >= CACHE_MAX_ENTRIES) {
+        // Maps iterate in insertion order: drop the oldest entry
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(cacheKey, { path, revision: map.revision, time: Date.now() });
+    }
+
+    return path ? [...path] : null;
+  }
+
+  search(map, startX, startY, goalX, goalY, goalDist, maxNodes, isBlocked) {
+    const open = new NodeHeap();
+    const best = new Map(); // key -> lowest g seen
+    const start = {
+      x: startX,
+      y: startY,
+      g: 0,
+      f: Math.max(0, manhattanDistance(startX, startY, goalX, goalY) - goalDist),
+      parent: null,
+      dir: -1,
+    };
+    open.push(start);
+    best.set(getKey(startX, startY), 0);
+
+    let expanded = 0;
+    while (open.size > 0) {
+      const node = open.pop();
+
+      // Skip stale heap entries superseded by a cheaper route
+      if (node.g > best.get(getKey(node.x, node.y))) continue;
+
+      if (manhattanDistance(node.x, node.y, goalX, goalY) === goalDist) {
+        return this.buildPath(node);
+      }
+
+      if (++expanded > maxNodes) return null;
+
+      for (let dir = 0; dir < 4; dir++) {
+        const vec = DIRECTION_VECTORS[dir];
+        const nx = node.x + vec.dx;
+        const ny = node.y + vec.dy;
+        if (!map.isWalkable(nx, ny)) continue;
+        if (isBlocked && isBlocked(nx, ny)) continue;
+
+        const key = getKey(nx, ny);
+        const g = node.g + 1;
+        const seen = best.get(key);
+        if (seen !== undefined && seen <= g) continue;
+
+        best.set(key, g);
+        const h = Math.max(0, manhattanDistance(nx, ny, goalX, goalY) - goalDist);
+        open.push({ x: nx, y: ny, g, f: g + h, parent: node, dir });
+      }
+    }
+
+    return null;
+  }
+
+  buildPath(node) {
+    const path = [];
+    while (node.parent) {
+      path.push(node.dir);
+      node = node.parent;
+    }
+    return path.reverse();
+  }
+
+  /**
+   * Drop all cached paths (e.g. after a bulk map edit).
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
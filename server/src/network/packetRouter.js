@@ -59,6 +59,7 @@ export class PacketRouter {
 
     // Building
     this.handlers.set('bld', (client, pkt) => this.gameServer.handleBuild(client, pkt));
+    this.handlers.set('nfo', (client, pkt) => this.gameServer.handleInfo(client, pkt));
 
     // Ping/Pong
     this.handlers.set('P', (client, pkt) => this.gameServer.handlePong(client, pkt));
@@ -63,7 +63,11 @@ export class PacketValidator {
     );
 
     this.validators.set('bld', (pkt) =>
-      pkt.tpl !== undefined
+      typeof pkt.tpl === 'string'
+    );
+
+    this.validators.set('nfo', (pkt) =>
+      typeof pkt.tpl === 'string' && pkt.tpl.length <= 64
     );
 
     this.validators.set('P', () => true);
@@ -1,11 +1,13 @@
 import config from '../core/config.js';
 
 /**
- * Simple token-bucket rate limiter per session.
+ * Simple token-bucket rate limiter per session (or other key).
+ * Allows maxPerWindow calls per windowMs (default one second).
  */
 export class RateLimiter {
-  constructor(maxPerSecond) {
-    this.maxPerSecond = maxPerSecond;
+  constructor(maxPerWindow, windowMs = 1000) {
+    this.maxPerWindow = maxPerWindow;
+    this.windowMs = windowMs;
     this.buckets = new Map(); // sessionId -> { count, resetTime }
   }
 
@@ -14,12 +16,12 @@ export class RateLimiter {
     let bucket = this.buckets.get(sessionId);
 
     if (!bucket || now >= bucket.resetTime) {
-      bucket = { count: 0, resetTime: now + 1000 };
+      bucket = { count: 0, resetTime: now + this.windowMs };
       this.buckets.set(sessionId, bucket);
     }
 
     bucket.count++;
-    return bucket.count <= this.maxPerSecond;
+    return bucket.count <= this.maxPerWindow;
   }
 
   remove(sessionId) {
@@ -9,6 +9,18 @@ export const DIRECTION_VECTORS = {
   3: { dx: -1, dy: 0 },  // LEFT
 };
 
+/**
+ * Get the direction (0-3) from one tile toward another.
+ * The dominant axis wins; ties favour horizontal. Returns -1 for the same tile.
+ */
+export function getDirection(fromX, fromY, toX, toY) {
+  const dx = toX - fromX;
+  const dy = toY - fromY;
+  if (dx === 0 && dy === 0) return -1;
+  if (Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? 1 : 3;
+  return dy > 0 ? 2 : 0;
+}
+
 /**
  * Check if a direction value is valid (0-3).
  */
@@ -36,3 +48,25 @@ export function getKey(x, y) {
 export function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32).
+ * Returns a function with the same contract as Math.random.
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random integer in [min, max] (inclusive) using the given generator.
+ */
+export function randomInt(min, max, random = Math.random) {
+  return min + Math.floor(random() * (max - min + 1));
+}
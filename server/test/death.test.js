@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/core/config.js';
+import { createGameServer, addPlayer } from './helpers.js';
+
+test('the death exp loss is saved to the character', () => {
+  const gameServer = createGameServer();
+  gameServer.mapLoader.getMap('overworld');
+  const saves = [];
+  gameServer.mongo.saveCharacter = async (characterId, updates) => saves.push(updates);
+  const player = addPlayer(gameServer, 'p1', 'Tester', 50, 50);
+  player.characterId = 'character-1';
+  player.exp = 100;
+
+  gameServer.deathSystem.applyPenalties(player, null);
+
+  const expected = 100 - Math.floor(100 * config.game.deathExpLoss);
+  assert.equal(player.exp, expected);
+  assert.deepEqual(saves.at(-1), { exp: expected });
+});
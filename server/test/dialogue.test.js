@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameServer, addPlayer, messagesTo, chat } from './helpers.js';
+
+/**
+ * A server with one NPC of the given template at (55, 49) and a player
+ * standing next to it.
+ */
+function setup(templateId) {
+  const gameServer = createGameServer();
+  gameServer.mapLoader.getMap('overworld');
+  const npc = gameServer.npcRegistry.createNpc(templateId);
+  npc.mapId = 'overworld';
+  npc.x = 55;
+  npc.y = 49;
+  gameServer.npcs.set(npc.id, npc);
+  const player = addPlayer(gameServer, 'p1', 'Tester', 55, 50);
+  return { gameServer, npc, player };
+}
+
+test('a number typed in chat picks a dialogue choice', () => {
+  const { gameServer, npc, player } = setup('merchant');
+  gameServer.dialogueSystem.startDialogue(player, npc);
+  assert.ok(messagesTo(gameServer, player).includes('1. Show me your wares.'));
+
+  chat(gameServer, player, '1');
+
+  assert.equal(player.openShop?.shopId, 'general_store');
+  assert.equal(player.dialogue, null);
+});
+
+test('numbers outside a conversation are ordinary chat', () => {
+  const { gameServer, player } = setup('merchant');
+  chat(gameServer, player, '1');
+  assert.ok(gameServer.sent.some(packet => packet.type === 'message' && packet.id === player.id && packet.text === '1'));
+});
+
+test('a number with no matching choice keeps the conversation open', () => {
+  const { gameServer, npc, player } = setup('merchant');
+  gameServer.dialogueSystem.startDialogue(player, npc);
+  chat(gameServer, player, '9');
+  assert.equal(player.dialogue.npcId, npc.id);
+  assert.equal(player.openShop, null);
+});
+
+test('a failed quest turn-in keeps the conversation where it was', () => {
+  const { gameServer, npc, player } = setup('elder');
+  player.quests.rat_trouble = { state: 'active', progress: [3, 3] };
+  gameServer.dialogueSystem.startDialogue(player, npc);
+  assert.ok(messagesTo(gameServer, player).includes('1. I have brought the bones.'));
+
+  chat(gameServer, player, '1');
+
+  const messages = messagesTo(gameServer, player);
+  assert.equal(messages.at(-1), 'You do not have everything for Rat Trouble yet.');
+  assert.ok(!gameServer.sent.some(packet => packet.id === npc.id && /great service/.test(packet.text)));
+  assert.equal(player.quests.rat_trouble.state, 'active');
+  assert.equal(player.dialogue.nodeId, 'start');
+});
+
+test('a quest turn-in with the items moves on to the reward', () => {
+  const { gameServer, npc, player } = setup('elder');
+  player.quests.rat_trouble = { state: 'active', progress: [3, 0] };
+  gameServer.inventorySystem.addItem(player, 'bone', 3);
+  gameServer.questSystem.onInventoryChanged(player);
+  gameServer.dialogueSystem.startDialogue(player, npc);
+
+  chat(gameServer, player, '1');
+
+  assert.equal(player.quests.rat_trouble.state, 'completed');
+  assert.equal(gameServer.inventorySystem.countItem(player, 'bone'), 0);
+  assert.ok(gameServer.sent.some(packet => packet.id === npc.id && /great service/.test(packet.text)));
+});
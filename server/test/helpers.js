@@ -0,0 +1,46 @@
+import { GameServer } from '../src/core/gameServer.js';
+import { Player } from '../src/game/entities/player.js';
+
+/**
+ * A GameServer with no databases, network or tick loop. Packets are
+ * recorded in gameServer.sent as { to, ...packet } instead of sent.
+ */
+export function createGameServer() {
+  const gameServer = new GameServer();
+  gameServer.sent = [];
+  gameServer.network.sendToPlayer = (playerId, packet) => gameServer.sent.push({ to: playerId, ...packet });
+  gameServer.network.sendTo = (sessionId, packet) => gameServer.sent.push({ to: sessionId, ...packet });
+  gameServer.network.broadcast = (packet) => gameServer.sent.push({ to: '*', ...packet });
+  gameServer.network.broadcastToNearby = (x, y, mapId, packet) => gameServer.sent.push({ to: '*', ...packet });
+  return gameServer;
+}
+
+/**
+ * Put a player into the world at a tile, bypassing login.
+ */
+export function addPlayer(gameServer, id, name, x, y) {
+  const player = new Player(id, name);
+  player.x = x;
+  player.y = y;
+  gameServer.players.set(id, player);
+  gameServer.antiCheat.initPlayer(id);
+  gameServer.deltaCompression.initPlayer(id);
+  gameServer.inventorySystem.initPlayer(id);
+  return player;
+}
+
+/**
+ * Chat lines a player has been sent, oldest first.
+ */
+export function messagesTo(gameServer, player) {
+  return gameServer.sent
+    .filter(packet => packet.type === 'message' && packet.to === player.id && packet.text !== undefined)
+    .map(packet => packet.text);
+}
+
+/**
+ * Type a line into a player's chat box.
+ */
+export function chat(gameServer, player, text) {
+  gameServer.handleChat({ playerId: player.id }, { data: text });
+}
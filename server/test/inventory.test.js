@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameServer, addPlayer } from './helpers.js';
+
+function setup() {
+  const gameServer = createGameServer();
+  gameServer.mapLoader.getMap('overworld');
+  const player = addPlayer(gameServer, 'p1', 'Tester', 50, 50);
+  gameServer.inventorySystem.addItem(player, 'bone', 5);
+  const slot = gameServer.inventorySystem.getInventory(player.id).findIndex(item => item?.templateId === 'bone');
+  return { gameServer, player, slot };
+}
+
+function dropAndCount(amt) {
+  const { gameServer, player, slot } = setup();
+  gameServer.inventorySystem.handleDropItem(player, { slot, amt });
+  return gameServer.inventorySystem.countItem(player, 'bone');
+}
+
+test('drop amounts sent as strings drop that many', () => {
+  assert.equal(dropAndCount('1'), 4);
+  assert.equal(dropAndCount('3'), 2);
+});
+
+test('numeric drop amounts still work', () => {
+  assert.equal(dropAndCount(2), 3);
+});
+
+test('"all", missing and invalid amounts drop the whole stack', () => {
+  for (const amt of ['all', undefined, 'lots', '0', '-2']) {
+    assert.equal(dropAndCount(amt), 0, `amt ${amt}`);
+  }
+});
+
+test('amounts above the stack size drop the stack', () => {
+  assert.equal(dropAndCount('10'), 0);
+});
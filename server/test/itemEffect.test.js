@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameServer, addPlayer, messagesTo } from './helpers.js';
+
+function setup(templateId) {
+  const gameServer = createGameServer();
+  gameServer.mapLoader.getMap('overworld');
+  const player = addPlayer(gameServer, 'p1', 'Tester', 50, 50);
+  gameServer.inventorySystem.addItem(player, templateId, 2);
+  const slot = gameServer.inventorySystem.getInventory(player.id).findIndex(item => item?.templateId === templateId);
+  const use = () => gameServer.itemEffectSystem.useItem(player, slot);
+  return { gameServer, player, use };
+}
+
+test('food with a heal can be eaten at full health while hungry', () => {
+  const { gameServer, player, use } = setup('cooked_meat');
+  player.hunger = 50;
+
+  use();
+
+  assert.equal(player.hunger, 85);
+  assert.equal(player.hp, player.maxHp);
+  assert.equal(gameServer.inventorySystem.countItem(player, 'cooked_meat'), 1);
+});
+
+test('food with a heal can be eaten when full but hurt', () => {
+  const { gameServer, player, use } = setup('cooked_meat');
+  player.hp = player.maxHp - 20;
+
+  use();
+
+  assert.equal(player.hp, player.maxHp - 10);
+  assert.equal(player.hunger, 100);
+  assert.equal(gameServer.inventorySystem.countItem(player, 'cooked_meat'), 1);
+});
+
+test('an item none of whose effects apply is refused and kept', () => {
+  const { gameServer, player, use } = setup('cooked_meat');
+
+  use();
+
+  assert.equal(messagesTo(gameServer, player).at(-1), 'You are not hungry.');
+  assert.equal(gameServer.inventorySystem.countItem(player, 'cooked_meat'), 2);
+});
+
+test('recall scrolls do not work while combat-flagged', () => {
+  const { gameServer, player, use } = setup('recall_scroll');
+  player.bindPoint = { mapId: 'overworld', x: 10, y: 10 };
+  player.combatFlagUntil = Date.now() + 10000;
+
+  use();
+
+  assert.equal(messagesTo(gameServer, player).at(-1), 'You cannot recall while in combat.');
+  assert.equal(player.x, 50);
+  assert.equal(gameServer.inventorySystem.countItem(player, 'recall_scroll'), 2);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LootRegistry } from '../src/game/data/lootRegistry.js';
+import { createSeededRandom } from '../src/utils/math.js';
+
+const SEED = 12345;
+const ROLLS = 2000;
+
+const registry = new LootRegistry();
+
+/**
+ * Roll a table many times from one seeded generator; returns per-item
+ * drop counts, how often each dropped, and every quantity seen.
+ */
+function rollMany(table, seed = SEED) {
+  const random = createSeededRandom(seed);
+  const totals = {};
+  const hits = {};
+  const quantities = {};
+  for (let i = 0; i < ROLLS; i++) {
+    for (const { templateId, quantity } of registry.rollTable(table, random)) {
+      totals[templateId] = (totals[templateId] || 0) + quantity;
+      hits[templateId] = (hits[templateId] || 0) + 1;
+      (quantities[templateId] ||= new Set()).add(quantity);
+    }
+  }
+  return { totals, hits, quantities };
+}
+
+test('the same seed gives the same drops', () => {
+  const first = new LootRegistry(SEED);
+  const second = new LootRegistry(SEED);
+  for (let i = 0; i < 50; i++) {
+    assert.deepEqual(first.roll('skeleton'), second.roll('skeleton'));
+  }
+});
+
+test('unknown tables drop nothing', () => {
+  assert.deepEqual(registry.roll('no_such_table', createSeededRandom(SEED)), []);
+});
+
+test('guaranteed entries always drop within their quantity range', () => {
+  const { hits, quantities } = rollMany({ guaranteed: [{ item: 'bone', min: 2, max: 4 }] });
+  assert.equal(hits.bone, ROLLS);
+  assert.deepEqual([...quantities.bone].sort(), [2, 3, 4]);
+});
+
+test('quantities default to one', () => {
+  const { totals } = rollMany({ guaranteed: [{ item: 'bone' }] });
+  assert.equal(totals.bone, ROLLS);
+});
+
+test('chance entries drop at about their chance', () => {
+  const { hits } = rollMany({
+    chance: [
+      { item: 'bone', chance: 0.25 },
+      { item: 'bone_dagger', chance: 0 },
+      { item: 'raw_meat', chance: 1 },
+    ],
+  });
+  assert.ok(Math.abs(hits.bone / ROLLS - 0.25) < 0.04, `bone dropped ${hits.bone} times`);
+  assert.equal(hits.bone_dagger, undefined);
+  assert.equal(hits.raw_meat, ROLLS);
+});
+
+test('weighted rolls follow the weights, and empty entries drop nothing', () => {
+  const { hits } = rollMany({
+    rolls: 1,
+    entries: [
+      { weight: 50 },
+      { item: 'bone', weight: 30 },
+      { item: 'raw_meat', weight: 20 },
+    ],
+  });
+  assert.ok(Math.abs(hits.bone / ROLLS - 0.3) < 0.04, `bone dropped ${hits.bone} times`);
+  assert.ok(Math.abs(hits.raw_meat / ROLLS - 0.2) < 0.04, `raw_meat dropped ${hits.raw_meat} times`);
+  assert.deepEqual(Object.keys(hits).sort(), ['bone', 'raw_meat']);
+});
+
+test('several rolls of the same item are merged into one stack', () => {
+  const random = createSeededRandom(SEED);
+  const drops = registry.rollTable({ rolls: 3, entries: [{ item: 'bone', weight: 1 }] }, random);
+  assert.deepEqual(drops, [{ templateId: 'bone', quantity: 3 }]);
+});
+
+test('gold rolls honour the range and chance', () => {
+  const { hits, quantities } = rollMany({ gold: { min: 1, max: 5, chance: 0.8 } });
+  assert.ok(Math.abs(hits.gold / ROLLS - 0.8) < 0.04, `gold dropped ${hits.gold} times`);
+  assert.deepEqual([...quantities.gold].sort(), [1, 2, 3, 4, 5]);
+});
+
+test('zero gold is not dropped', () => {
+  const { hits, quantities } = rollMany({ gold: { min: 0, max: 1 } });
+  assert.ok(hits.gold > 0 && hits.gold < ROLLS);
+  assert.deepEqual([...quantities.gold], [1]);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pathfinder } from '../src/game/world/pathfinder.js';
+import { DIRECTION_VECTORS } from '../src/utils/math.js';
+
+/**
+ * Grid map stand-in: rows of '.' (walkable) and '#' (blocked).
+ * Exposes the part of GameMap the pathfinder reads.
+ */
+function makeMap(rows) {
+  const grid = rows.map(row => row.split(''));
+  return {
+    id: 'test',
+    revision: 0,
+    isWalkable(x, y) {
+      return y >= 0 && y < grid.length && x >= 0 && x < grid[y].length && grid[y][x] === '.';
+    },
+    setWall(x, y, wall) {
+      grid[y][x] = wall ? '#' : '.';
+      this.revision++;
+    },
+  };
+}
+
+/**
+ * Walk a path from a start tile, checking every step is walkable.
+ */
+function walk(map, x, y, path) {
+  for (const dir of path) {
+    x += DIRECTION_VECTORS[dir].dx;
+    y += DIRECTION_VECTORS[dir].dy;
+    assert.ok(map.isWalkable(x, y), `step onto blocked tile ${x},${y}`);
+  }
+  return { x, y };
+}
+
+test('finds a straight path on open ground', () => {
+  const map = makeMap(['.....']);
+  const path = new Pathfinder().findPath(map, 0, 0, 4, 0);
+  assert.equal(path.length, 4);
+  assert.deepEqual(walk(map, 0, 0, path), { x: 4, y: 0 });
+});
+
+test('routes around walls', () => {
+  const map = makeMap([
+    '.#...',
+    '.#.#.',
+    '...#.',
+  ]);
+  const path = new Pathfinder().findPath(map, 0, 0, 4, 0);
+  assert.equal(path.length, 8);
+  assert.deepEqual(walk(map, 0, 0, path), { x: 4, y: 0 });
+});
+
+test('returns null for walled-off or blocked goals', () => {
+  const map = makeMap([
+    '..#..',
+    '..#..',
+  ]);
+  const pathfinder = new Pathfinder();
+  assert.equal(pathfinder.findPath(map, 0, 0, 4, 0), null);
+  assert.equal(pathfinder.findPath(map, 0, 0, 2, 0), null);
+});
+
+test('returns an empty path when already at the goal', () => {
+  const map = makeMap(['...']);
+  const pathfinder = new Pathfinder();
+  assert.deepEqual(pathfinder.findPath(map, 1, 0, 1, 0), []);
+  assert.deepEqual(pathfinder.findPath(map, 1, 0, 2, 0, { adjacent: true }), []);
+});
+
+test('stops next to the goal with adjacent', () => {
+  const map = makeMap(['.....']);
+  const path = new Pathfinder().findPath(map, 0, 0, 4, 0, { adjacent: true });
+  assert.deepEqual(walk(map, 0, 0, path), { x: 3, y: 0 });
+});
+
+test('gives up when the node budget runs out', () => {
+  const map = makeMap(Array.from({ length: 30 }, () => '.'.repeat(30)));
+  const pathfinder = new Pathfinder();
+  assert.equal(pathfinder.findPath(map, 0, 0, 29, 29, { maxNodes: 10 }), null);
+
+  // A larger budget is not answered from the failed search's cache entry
+  assert.equal(pathfinder.findPath(map, 0, 0, 29, 29).length, 58);
+});
+
+test('drops cached paths when the map revision changes', () => {
+  const map = makeMap([
+    '...',
+    '...',
+  ]);
+  const pathfinder = new Pathfinder();
+  assert.equal(pathfinder.findPath(map, 0, 0, 2, 0).length, 2);
+
+  map.setWall(1, 0, true);
+  const path = pathfinder.findPath(map, 0, 0, 2, 0);
+  assert.equal(path.length, 4);
+  assert.deepEqual(walk(map, 0, 0, path), { x: 2, y: 0 });
+});
+
+test('cached paths are copies', () => {
+  const map = makeMap(['...']);
+  const pathfinder = new Pathfinder();
+  pathfinder.findPath(map, 0, 0, 2, 0).pop();
+  assert.equal(pathfinder.findPath(map, 0, 0, 2, 0).length, 2);
+});
+
+test('avoids tiles rejected by isBlocked without caching', () => {
+  const map = makeMap([
+    '...',
+    '...',
+  ]);
+  const pathfinder = new Pathfinder();
+  const isBlocked = (x, y) => x === 1 && y === 0;
+
+  const path = pathfinder.findPath(map, 0, 0, 2, 0, { isBlocked });
+  assert.equal(path.length, 4);
+  let x = 0;
+  let y = 0;
+  for (const dir of path) {
+    x += DIRECTION_VECTORS[dir].dx;
+    y += DIRECTION_VECTORS[dir].dy;
+    assert.ok(!isBlocked(x, y));
+  }
+  assert.equal(pathfinder.cache.size, 0);
+  assert.equal(pathfinder.findPath(map, 0, 0, 2, 0).length, 2);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameServer, addPlayer } from './helpers.js';
+
+/**
+ * A player browsing the general store, with database writes recorded.
+ */
+function setup() {
+  const gameServer = createGameServer();
+  gameServer.mapLoader.getMap('overworld');
+  const writes = [];
+  gameServer.mongo.incrementCharacter = async (characterId, increments) => writes.push({ increments });
+  gameServer.mongo.saveInventorySlot = async (characterId, slot, item) => writes.push({ slot, item });
+  gameServer.mongo.clearInventorySlot = async (characterId, slot) => writes.push({ slot, item: null });
+
+  const player = addPlayer(gameServer, 'p1', 'Tester', 55, 50);
+  player.characterId = 'character-1';
+  player.gold = 100;
+  player.openShop = { shopId: 'general_store', npcId: 'npc-1' };
+  const shop = gameServer.shopRegistry.get('general_store');
+  const listing = (item) => gameServer.shopSystem.getListings(shop).findIndex(({ entry }) => entry.item === item);
+  return { gameServer, player, shop, writes, listing };
+}
+
+test('a purchase saves both the gold spent and the item bought', () => {
+  const { gameServer, player, writes, listing } = setup();
+
+  gameServer.shopSystem.buy(player, listing('apple'));
+
+  assert.equal(player.gold, 97);
+  assert.ok(writes.some(write => write.increments?.gold === -3));
+  assert.ok(writes.some(write => write.item?.templateId === 'apple' && write.item.quantity === 1));
+});
+
+test('a sale saves the emptied slot and the gold earned', () => {
+  const { gameServer, player, writes } = setup();
+  gameServer.inventorySystem.addItem(player, 'bone', 4);
+  gameServer.inventorySystem.sendInventory(player);
+  const slot = gameServer.inventorySystem.getInventory(player.id).findIndex(item => item?.templateId === 'bone');
+  writes.length = 0;
+
+  gameServer.shopSystem.sell(player, slot);
+
+  assert.ok(writes.some(write => write.increments?.gold === 4));
+  assert.deepEqual(writes.filter(write => 'slot' in write), [{ slot, item: null }]);
+});
+
+test('selling never raises stock above the listing amount', () => {
+  const { gameServer, player, shop } = setup();
+  gameServer.inventorySystem.addItem(player, 'apple', 5);
+  const slot = gameServer.inventorySystem.getInventory(player.id).findIndex(item => item?.templateId === 'apple');
+
+  gameServer.shopSystem.sell(player, slot);
+
+  const index = shop.stock.findIndex(entry => entry.item === 'apple');
+  assert.equal(gameServer.shopSystem.getStock(shop).counts[index], shop.stock[index].stock);
+});
+
+test('saved inventory slots come back at login', () => {
+  const { gameServer } = setup();
+  const character = {
+    _id: 'character-2',
+    inventory: [
+      { slot: 3, templateId: 'apple', quantity: 2, durability: -1 },
+      { slot: 4, templateId: 'no_such_item', quantity: 1 },
+    ],
+  };
+
+  gameServer.spawnPlayer({ sessionId: 's2' }, 'p2', 'Other', false, null, character, null);
+
+  const inventory = gameServer.inventorySystem.getInventory('p2');
+  assert.deepEqual(inventory[3], { templateId: 'apple', quantity: 2, durability: -1 });
+  assert.equal(inventory[4], null);
+});
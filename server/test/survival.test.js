@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameServer, addPlayer } from './helpers.js';
+
+function setup() {
+  const gameServer = createGameServer();
+  gameServer.mapLoader.getMap('overworld');
+  const saves = [];
+  gameServer.mongo.saveCharacter = async (characterId, updates) => saves.push(updates);
+  const player = addPlayer(gameServer, 'p1', 'Tester', 50, 50);
+  player.characterId = 'character-1';
+  return { gameServer, player, saves };
+}
+
+test('hunger is saved when the food bar changes', () => {
+  const { gameServer, player, saves } = setup();
+
+  gameServer.survivalSystem.updatePlayer(player, 30000, Date.now());
+  assert.deepEqual(saves, [{ hunger: 99 }]);
+
+  gameServer.survivalSystem.updatePlayer(player, 15000, Date.now());
+  assert.deepEqual(saves, [{ hunger: 99 }]);
+
+  gameServer.survivalSystem.restore(player, { hunger: 20 });
+  assert.deepEqual(saves.at(-1), { hunger: 100 });
+});
+
+test('saved hunger comes back at login', () => {
+  const { gameServer } = setup();
+
+  gameServer.spawnPlayer({ sessionId: 's2' }, 'p2', 'Other', false, null, { _id: 'character-2', hunger: 42 }, null);
+
+  const player = gameServer.players.get('p2');
+  assert.equal(player.hunger, 42);
+  assert.ok(gameServer.sent.some(packet => packet.to === 'p2' && packet.type === 's' && packet.f === 42));
+});
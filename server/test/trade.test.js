@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameServer, addPlayer, messagesTo, chat } from './helpers.js';
+
+function setup() {
+  const gameServer = createGameServer();
+  gameServer.mapLoader.getMap('overworld');
+  const al = addPlayer(gameServer, 'p1', 'Al', 50, 50);
+  const bo = addPlayer(gameServer, 'p2', 'Bo', 51, 50);
+  return { gameServer, al, bo };
+}
+
+test('a trade can be answered, given gold and completed from chat', () => {
+  const { gameServer, al, bo } = setup();
+  gameServer.inventorySystem.addGold(al, 10);
+
+  chat(gameServer, al, '/trade bo');
+  chat(gameServer, bo, '/trade accept');
+  assert.ok(al.trade && al.trade === bo.trade, 'the trade is open');
+
+  chat(gameServer, al, '/trade gold 4');
+  for (const step of ['accept', 'confirm']) {
+    chat(gameServer, al, `/trade ${step}`);
+    chat(gameServer, bo, `/trade ${step}`);
+  }
+
+  assert.equal(al.trade, null);
+  assert.equal(al.gold, 6);
+  assert.equal(bo.gold, 4);
+  assert.equal(messagesTo(gameServer, bo).at(-1), 'Trade complete.');
+});
+
+test('gold offers must be whole numbers the player has', () => {
+  const { gameServer, al, bo } = setup();
+  chat(gameServer, al, '/trade gold 5');
+  assert.equal(messagesTo(gameServer, al).at(-1), 'You are not trading.');
+
+  chat(gameServer, al, '/trade bo');
+  chat(gameServer, bo, '/trade accept');
+  chat(gameServer, al, '/trade gold lots');
+  assert.equal(messagesTo(gameServer, al).at(-1), 'Usage: /trade gold amount');
+  chat(gameServer, al, '/trade gold 5');
+  assert.equal(messagesTo(gameServer, al).at(-1), 'You only have 0 gold.');
+});
+
+test('a request can be declined and an open trade cancelled', () => {
+  const { gameServer, al, bo } = setup();
+  chat(gameServer, al, '/trade bo');
+  chat(gameServer, bo, '/trade decline');
+  assert.equal(messagesTo(gameServer, al).at(-1), 'Bo declines to trade.');
+  chat(gameServer, bo, '/trade accept');
+  assert.equal(bo.trade, null);
+
+  chat(gameServer, al, '/trade bo');
+  chat(gameServer, bo, '/trade accept');
+  chat(gameServer, al, '/trade decline');
+  assert.equal(al.trade, null);
+  assert.equal(bo.trade, null);
+});